@@ -2,13 +2,26 @@
  * Wink View Generator - Advanced Table Manager
  * 
  * Features:
- * - Advanced sorting with multiple columns
+ * - Advanced sorting with multiple columns (shift-click to add sort keys)
+ * - Locale-aware natural sort order with configurable placement of empty values
  * - Real-time filtering and search
+ * - Advanced filter builder with operators and nested AND/OR groups
+ * - Optional sync of sort, page, search and filters with the URL
+ * - Optional ARIA grid keyboard navigation
+ * - Stacked card layout on small screens
+ * - Sticky header and pinned (frozen) columns
+ * - Expandable detail rows from a template or loaded on demand
+ * - Pluggable column types (parse, sort, filter, render and export)
+ * - Row grouping with collapsible groups and aggregates
+ * - Footer aggregate row (sum, avg, min, max, count)
+ * - Server-side data mode (remote paging, sorting, filtering)
  * - Bulk actions with confirmation
- * - Export functionality (CSV, PDF, Excel)
+ * - Inline cell editing with server persistence
+ * - Export functionality (CSV, Excel, PDF, JSON, NDJSON, Markdown, HTML) with an options dialog
+ * - Import from pasted spreadsheet rows or CSV files
  * - Responsive design with mobile optimization
  * - Virtual scrolling for large datasets
- * - Column resizing and reordering
+ * - Column resizing, reordering and visibility
  * - State persistence
  * 
  * @version 2.0.0
@@ -20,20 +33,605 @@
     // Ensure WinkViews namespace exists
     window.WinkViews = window.WinkViews || {};
 
+    /**
+     * Build an OOXML workbook (.xlsx) from export rows.
+     * Self-contained so its source can be shipped to the export worker.
+     */
+    function buildXlsx(rows, columns) {
+        const encoder = new TextEncoder();
+        
+        const escapeXml = (value) => String(value)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        
+        const columnName = (index) => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + (n - 1) % 26) + name;
+            }
+            return name;
+        };
+        
+        // Excel stores dates as days since 1899-12-30 in local time
+        const toSerialDate = (date) => (date.getTime() - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+        
+        const inlineString = (ref, value, style) => {
+            const styleAttr = style ? ` s="${style}"` : '';
+            return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        };
+        
+        const cell = (ref, value, column) => {
+            if (value === null || value === undefined || value === '') return '';
+            
+            switch (column.type) {
+                case 'number': {
+                    const number = typeof value === 'number' ? value : parseFloat(value);
+                    return isFinite(number) ? `<c r="${ref}"><v>${number}</v></c>` : inlineString(ref, value);
+                }
+                case 'date': {
+                    const date = value instanceof Date ? value : new Date(value);
+                    return isNaN(date) ? inlineString(ref, value) : `<c r="${ref}" s="2"><v>${toSerialDate(date)}</v></c>`;
+                }
+                case 'boolean':
+                    return `<c r="${ref}" t="b"><v>${value === true || value === 'true' || value === '1' ? 1 : 0}</v></c>`;
+                default:
+                    return inlineString(ref, value);
+            }
+        };
+        
+        const columnWidth = (column) => {
+            const pixels = parseFloat(column.width);
+            if (/px$/.test(column.width) && pixels > 0) {
+                return Math.round(pixels / 7 * 100) / 100;
+            }
+            
+            // Estimate from content when no explicit width is set
+            const longest = rows.slice(0, 1000).reduce((max, row) => {
+                const value = row[column.title];
+                if (value === null || value === undefined) return max;
+                return Math.max(max, value instanceof Date ? 10 : String(value).length);
+            }, column.title.length);
+            
+            return Math.min(Math.max(longest + 2, 8), 60);
+        };
+        
+        const lastRef = `${columnName(Math.max(columns.length - 1, 0))}${rows.length + 1}`;
+        
+        const sheetRows = [
+            `<row r="1">${columns.map((column, i) => inlineString(`${columnName(i)}1`, column.title, 1)).join('')}</row>`
+        ].concat(rows.map((row, r) => {
+            const cells = columns.map((column, i) => cell(`${columnName(i)}${r + 2}`, row[column.title], column));
+            return `<row r="${r + 2}">${cells.join('')}</row>`;
+        }));
+        
+        const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<dimension ref="A1:${lastRef}"/>` +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            (columns.length ? `<cols>${columns.map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${columnWidth(column)}" customWidth="1"/>`).join('')}</cols>` : '') +
+            `<sheetData>${sheetRows.join('')}</sheetData>` +
+            '</worksheet>';
+        
+        const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="3">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+        
+        const files = {
+            '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>',
+            '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets>' +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>',
+            'xl/styles.xml': styles,
+            'xl/worksheets/sheet1.xml': sheet
+        };
+        
+        // Package the parts into an uncompressed (stored) ZIP archive
+        const crcTable = [];
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+        
+        const crc32 = (bytes) => {
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) {
+                crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        };
+        
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+        
+        Object.keys(files).forEach(path => {
+            const name = encoder.encode(path);
+            const data = encoder.encode(files[path]);
+            const crc = crc32(data);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            
+            chunks.push(new Uint8Array(local.buffer), name, data);
+            central.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+        
+        const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        const parts = chunks.concat(central, [new Uint8Array(end.buffer)]);
+        const archive = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            archive.set(part, position);
+            position += part.length;
+        });
+        
+        return archive;
+    }
+
+    /**
+     * Build the text export formats (CSV, JSON, NDJSON, Markdown and HTML) from export rows.
+     * Self-contained so its source can be shipped to the export worker.
+     */
+    function buildText(format, rows, columns, options) {
+        const settings = Object.assign({ delimiter: ',', bom: false, title: 'Table export' }, options);
+        const pad = (number) => String(number).padStart(2, '0');
+        
+        // Dates without a time of day export as YYYY-MM-DD
+        const formatDate = (date) => {
+            if (isNaN(date)) return '';
+            const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            return date.getHours() || date.getMinutes() || date.getSeconds()
+                ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+                : day;
+        };
+        
+        const text = (value) => {
+            if (value === null || value === undefined) return '';
+            return value instanceof Date ? formatDate(value) : String(value);
+        };
+        
+        switch (format) {
+            case 'json':
+            case 'ndjson': {
+                const objects = rows.map(row => columns.reduce((object, column) => {
+                    const value = row[column.title];
+                    if (value instanceof Date) {
+                        object[column.key || column.title] = isNaN(value) ? null : value.toISOString();
+                    } else {
+                        object[column.key || column.title] = value === undefined ? null : value;
+                    }
+                    return object;
+                }, {}));
+                
+                return format === 'json'
+                    ? JSON.stringify(objects, null, 2)
+                    : objects.map(object => JSON.stringify(object)).join('\n') + '\n';
+            }
+            
+            case 'markdown': {
+                const cell = (value) => text(value)
+                    .replace(/\\/g, '\\\\')
+                    .replace(/\|/g, '\\|')
+                    .replace(/\r?\n/g, '<br>');
+                
+                return [
+                    `| ${columns.map(column => cell(column.title)).join(' | ')} |`,
+                    `| ${columns.map(column => column.type === 'number' ? '---:' : '---').join(' | ')} |`
+                ].concat(rows.map(row => `| ${columns.map(column => cell(row[column.title])).join(' | ')} |`)).join('\n') + '\n';
+            }
+            
+            case 'html': {
+                const escape = (value) => text(value)
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
+                    .replace(/"/g, '&quot;');
+                
+                return [
+                    '<!DOCTYPE html>',
+                    '<html>',
+                    `<head><meta charset="utf-8"><title>${escape(settings.title)}</title></head>`,
+                    '<body>',
+                    '<table>',
+                    `<caption>${escape(settings.title)}</caption>`,
+                    `<thead><tr>${columns.map(column => `<th>${escape(column.title)}</th>`).join('')}</tr></thead>`,
+                    '<tbody>',
+                    ...rows.map(row => `<tr>${columns.map(column => `<td>${escape(row[column.title])}</td>`).join('')}</tr>`),
+                    '</tbody>',
+                    '</table>',
+                    '</body>',
+                    '</html>'
+                ].join('\n') + '\n';
+            }
+            
+            default: {
+                // RFC 4180: fields containing the delimiter, quotes or line breaks are quoted and records end in CRLF
+                const field = (value) => {
+                    let result = text(value);
+                    
+                    // Text a spreadsheet would evaluate as a formula is prefixed with an apostrophe
+                    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(result)) {
+                        result = `'${result}`;
+                    }
+                    
+                    return result.includes(settings.delimiter) || /["\r\n]/.test(result)
+                        ? `"${result.replace(/"/g, '""')}"`
+                        : result;
+                };
+                
+                const lines = [columns.map(column => field(column.title))]
+                    .concat(rows.map(row => columns.map(column => field(row[column.title]))));
+                
+                return (settings.bom ? '\uFEFF' : '') + lines.map(line => line.join(settings.delimiter)).join('\r\n') + '\r\n';
+            }
+        }
+    }
+
+    /**
+     * Build a paginated PDF table using the standard Helvetica fonts.
+     * Self-contained so its source can be shipped to the export worker.
+     */
+    function buildPdf(rows, columns, options) {
+        const settings = Object.assign({
+            title: 'Table export',
+            exportedAt: new Date().toLocaleString(),
+            orientation: 'landscape',
+            fontSize: 9
+        }, options);
+        
+        // A4 in points
+        const [pageWidth, pageHeight] = settings.orientation === 'portrait' ? [595.28, 841.89] : [841.89, 595.28];
+        const margin = 36;
+        const padding = 4;
+        const fontSize = settings.fontSize;
+        const rowHeight = fontSize * 2;
+        const tableWidth = pageWidth - margin * 2;
+        const tableTop = pageHeight - margin - 42;
+        const tableBottom = margin + 18;
+        const rowsPerPage = Math.max(1, Math.floor((tableTop - tableBottom) / rowHeight) - 1);
+        
+        // Helvetica and Helvetica-Bold advance widths for ASCII 32-126 (per 1000 units)
+        const regularWidths = [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ];
+        const boldWidths = [
+            278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+            975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+            333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+            611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+        ];
+        
+        const textWidth = (text, bold, size) => {
+            const widths = bold ? boldWidths : regularWidths;
+            let width = 0;
+            for (let i = 0; i < text.length; i++) {
+                const code = text.charCodeAt(i);
+                width += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+            }
+            return width * size / 1000;
+        };
+        
+        const pad = (number) => String(number).padStart(2, '0');
+        
+        const formatValue = (value, column) => {
+            if (value === null || value === undefined) return '';
+            
+            if (column.type === 'date' || value instanceof Date) {
+                const date = value instanceof Date ? value : new Date(value);
+                return isNaN(date) ? String(value) : `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            }
+            
+            if (column.type === 'boolean' || typeof value === 'boolean') {
+                return value === true || value === 'true' || value === '1' ? 'Yes' : 'No';
+            }
+            
+            return String(value).replace(/\s+/g, ' ').trim();
+        };
+        
+        const fitText = (text, width, bold) => {
+            const limit = width - padding * 2;
+            if (textWidth(text, bold, fontSize) <= limit) return text;
+            
+            let fitted = text;
+            while (fitted.length && textWidth(fitted + '...', bold, fontSize) > limit) {
+                fitted = fitted.slice(0, -1);
+            }
+            return fitted + '...';
+        };
+        
+        // Literal strings in WinAnsiEncoding, with non-ASCII Latin-1 written as octal escapes
+        const pdfString = (text) => '(' + Array.from(text).map(char => {
+            const code = char.charCodeAt(0);
+            if (char === '\\' || char === '(' || char === ')') return '\\' + char;
+            if (code < 32) return ' ';
+            if (code <= 126) return char;
+            if (code >= 160 && code <= 255) return '\\' + code.toString(8).padStart(3, '0');
+            return '?';
+        }).join('') + ')';
+        
+        const number = (value) => Math.round(value * 100) / 100;
+        const text = (value, x, y, bold, size) => `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${number(x)} ${number(y)} Td ${pdfString(value)} Tj ET`;
+        
+        // Size columns from header and sampled content, then scale to the page width
+        const cells = rows.map(row => columns.map(column => formatValue(row[column.title], column)));
+        const natural = columns.map((column, i) => {
+            const content = cells.slice(0, 500).reduce((max, row) => Math.max(max, textWidth(row[i], false, fontSize)), 0);
+            return Math.max(textWidth(column.title, true, fontSize), Math.min(content, tableWidth / 2)) + padding * 2;
+        });
+        const naturalTotal = natural.reduce((sum, width) => sum + width, 0) || 1;
+        const widths = natural.map(width => width * tableWidth / naturalTotal);
+        
+        const pageCount = Math.max(1, Math.ceil(cells.length / rowsPerPage));
+        const streams = [];
+        
+        const drawRow = (ops, values, y, bold) => {
+            let x = margin;
+            values.forEach((value, i) => {
+                const fitted = fitText(value, widths[i], bold);
+                const alignRight = columns[i].type === 'number' && !bold;
+                const textX = alignRight ? x + widths[i] - padding - textWidth(fitted, bold, fontSize) : x + padding;
+                ops.push(text(fitted, textX, y + (rowHeight - fontSize) / 2 + 1.5, bold, fontSize));
+                x += widths[i];
+            });
+        };
+        
+        for (let page = 0; page < pageCount; page++) {
+            const ops = [];
+            
+            // Title, export date and page number
+            ops.push('0 g');
+            ops.push(text(settings.title, margin, pageHeight - margin - 14, true, 14));
+            ops.push(text(`Exported ${settings.exportedAt}`, margin, pageHeight - margin - 30, false, fontSize));
+            const footer = `Page ${page + 1} of ${pageCount}`;
+            ops.push(text(footer, pageWidth - margin - textWidth(footer, false, fontSize), margin, false, fontSize));
+            
+            // Header row repeated on every page
+            let y = tableTop - rowHeight;
+            ops.push(`0.9 g ${number(margin)} ${number(y)} ${number(tableWidth)} ${rowHeight} re f 0 g`);
+            drawRow(ops, columns.map(column => column.title), y, true);
+            
+            cells.slice(page * rowsPerPage, (page + 1) * rowsPerPage).forEach((values, i) => {
+                y -= rowHeight;
+                if (i % 2 === 1) {
+                    ops.push(`0.97 g ${number(margin)} ${number(y)} ${number(tableWidth)} ${rowHeight} re f 0 g`);
+                }
+                drawRow(ops, values, y, false);
+                ops.push(`0.85 G 0.5 w ${number(margin)} ${number(y)} m ${number(margin + tableWidth)} ${number(y)} l S`);
+            });
+            
+            streams.push(ops.join('\n'));
+        }
+        
+        // Assemble objects: catalog, page tree, fonts, info, then a page and content stream per page
+        const now = new Date();
+        const timestamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+        const pageIds = streams.map((stream, i) => 6 + i * 2);
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            `<< /Title ${pdfString(settings.title)} /Producer (Wink View Generator) /CreationDate (D:${timestamp}) >>`
+        ];
+        
+        streams.forEach((stream, i) => {
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`);
+            objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        });
+        
+        // Every byte is ASCII, so string lengths double as byte offsets
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((object, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+        
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        
+        return new TextEncoder().encode(pdf);
+    }
+
     const TableManager = {
         instances: new Map(),
         exportWorker: null,
+        exportJobs: new Map(),
+        exportQueue: [],
+        exportJobId: 0,
+        activeExportJob: null,
+        
+        /**
+         * File extensions and MIME types for export formats
+         */
+        exportFileTypes: {
+            csv: { label: 'CSV', extension: 'csv', mime: 'text/csv;charset=utf-8' },
+            excel: { label: 'Excel', extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+            pdf: { label: 'PDF', extension: 'pdf', mime: 'application/pdf' },
+            json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+            ndjson: { label: 'NDJSON (one record per line)', extension: 'ndjson', mime: 'application/x-ndjson' },
+            markdown: { label: 'Markdown table', extension: 'md', mime: 'text/markdown;charset=utf-8' },
+            html: { label: 'HTML table', extension: 'html', mime: 'text/html;charset=utf-8' }
+        },
+        
+        /**
+         * Operators offered by the filter builder. `values` is the number of
+         * operands: 0 (none), 1, 2 (a range) or 'list'.
+         */
+        filterOperators: {
+            equals: { label: 'equals', values: 1 },
+            not_equals: { label: 'does not equal', values: 1 },
+            contains: { label: 'contains', values: 1 },
+            starts_with: { label: 'starts with', values: 1 },
+            ends_with: { label: 'ends with', values: 1 },
+            in: { label: 'is one of', values: 'list' },
+            between: { label: 'is between', values: 2 },
+            empty: { label: 'is empty', values: 0 },
+            not_empty: { label: 'is not empty', values: 0 },
+            regex: { label: 'matches pattern', values: 1 }
+        },
+        
+        /**
+         * Column types by name, see registerColumnType()
+         */
+        columnTypes: {},
+        
+        /**
+         * Labels for aggregate types
+         */
+        aggregateLabels: {
+            sum: 'Sum',
+            avg: 'Avg',
+            min: 'Min',
+            max: 'Max',
+            count: 'Count'
+        },
         
         globalConfig: {
             pageSize: 25,
             pageSizes: [10, 25, 50, 100],
+            // Windowing needs rows of one height, so grouping, card layout and detail rows turn it off
             enableVirtualScroll: false,
             virtualScrollThreshold: 1000,
-            exportFormats: ['csv', 'excel', 'pdf'],
+            virtualScrollHeight: 600,
+            virtualRowHeight: 40,
+            virtualBuffer: 10,
+            exportFormats: ['csv', 'excel', 'pdf', 'json', 'ndjson', 'markdown', 'html'],
+            pdfOrientation: 'landscape',
+            exportChunkSize: 1000,
+            exportFilename: '{table}-{date}',
+            csvDelimiter: ',',
+            csvBom: false,
             enableColumnResize: true,
             enableColumnReorder: true,
+            maxSortColumns: 3,
+            maxPatternLength: 100,
+            groupBy: [],
+            groupAggregates: {},
+            aggregateScope: 'filtered',
             persistState: true,
-            debounceDelay: 300
+            syncUrl: false,
+            urlHistory: 'replace',
+            urlPrefix: '',
+            debounceDelay: 300,
+            dataSource: null,
+            primaryKey: 'id',
+            editUrl: null,
+            editMethod: 'PATCH',
+            showUrl: null,
+            keyboardNavigation: false,
+            cardBreakpoint: 576,
+            stickyHeader: false,
+            sortLocale: null,
+            sortNulls: 'last',
+            detailUrl: null,
+            detailTemplate: null,
+            cardPriority: 2,
+            bulkActions: [],
+            bulkDeleteUrl: null,
+            bulkBatchSize: 100,
+            importUrl: null,
+            importBatchSize: 100,
+            savedViews: false,
+            viewsUrl: null,
+            liveUrl: null,
+            liveMode: 'poll',
+            liveInterval: 15000,
+            liveCursorParam: 'updated_since',
+            liveEventIdParam: 'last_event_id',
+            liveHighlight: 2000,
+            permissions: null,
+            emptyMessage: 'No matching records found'
+        },
+
+        /**
+         * Default query parameter names sent to a remote data source
+         */
+        remoteParamNames: {
+            page: 'page',
+            pageSize: 'per_page',
+            sort: 'sort',
+            direction: 'direction',
+            search: 'search',
+            filters: 'filters',
+            filterTree: 'filter_tree'
         },
 
         /**
@@ -48,6 +646,51 @@
             tableElement.id = tableId;
 
             const config = Object.assign({}, this.globalConfig, options);
+            config.editUrl = config.editUrl || tableElement.getAttribute('data-edit-url');
+            config.syncUrl = config.syncUrl || tableElement.hasAttribute('data-sync-url');
+            config.showUrl = config.showUrl || tableElement.getAttribute('data-show-url');
+            config.keyboardNavigation = config.keyboardNavigation || tableElement.hasAttribute('data-keyboard-navigation');
+            config.stickyHeader = config.stickyHeader || tableElement.hasAttribute('data-sticky-header');
+            config.detailUrl = config.detailUrl || tableElement.getAttribute('data-detail-url');
+            config.detailTemplate = config.detailTemplate || tableElement.getAttribute('data-detail-template');
+            config.sortLocale = config.sortLocale || tableElement.getAttribute('data-sort-locale');
+            
+            if (!('sortNulls' in options) && tableElement.hasAttribute('data-sort-nulls')) {
+                config.sortNulls = tableElement.getAttribute('data-sort-nulls');
+            }
+            
+            if (!('cardBreakpoint' in options) && tableElement.hasAttribute('data-card-breakpoint')) {
+                config.cardBreakpoint = parseInt(tableElement.getAttribute('data-card-breakpoint'), 10) || 0;
+            }
+            config.bulkDeleteUrl = config.bulkDeleteUrl || tableElement.getAttribute('data-bulk-delete-url');
+            config.importUrl = config.importUrl || tableElement.getAttribute('data-import-url');
+            config.viewsUrl = config.viewsUrl || tableElement.getAttribute('data-views-url');
+            config.savedViews = config.savedViews || !!config.viewsUrl || tableElement.hasAttribute('data-saved-views');
+            config.liveUrl = config.liveUrl || tableElement.getAttribute('data-live-url');
+            
+            if (!('liveMode' in options) && tableElement.hasAttribute('data-live-mode')) {
+                config.liveMode = tableElement.getAttribute('data-live-mode');
+            }
+            
+            if (!('liveInterval' in options) && tableElement.hasAttribute('data-live-interval')) {
+                config.liveInterval = parseInt(tableElement.getAttribute('data-live-interval'), 10) || config.liveInterval;
+            }
+            
+            if (!options.bulkActions && tableElement.hasAttribute('data-bulk-actions')) {
+                try {
+                    config.bulkActions = JSON.parse(tableElement.getAttribute('data-bulk-actions'));
+                } catch (e) {
+                    console.warn('Invalid data-bulk-actions:', e);
+                    config.bulkActions = [];
+                }
+            }
+            
+            if (!options.permissions && tableElement.hasAttribute('data-permissions')) {
+                config.permissions = tableElement.getAttribute('data-permissions').split(',').map(name => name.trim());
+            }
+            config.dataSource = this.normalizeDataSource(
+                config.dataSource || tableElement.getAttribute('data-source')
+            );
             
             const instance = new TableInstance(tableElement, config);
             this.instances.set(tableId, instance);
@@ -55,6 +698,33 @@
             return instance;
         },
 
+        /**
+         * Register a column type. Hooks not given are inherited from the base type
+         * ('text', 'number', 'date' or 'boolean'), and base types inherit from text:
+         * - parse(raw, column): value used for sorting and filtering; null or NaN when raw text cannot be read
+         * - compare(a, b, column, collator): ascending order of two non-empty parsed values
+         * - format(value, column): display text
+         * - filterUI: 'text', 'number', 'date', 'select' or function(column, table) returning an element
+         * - filter(value, filter, column): whether a value passes the column filter
+         * - export(value, column): value written to exports
+         * - render(cell, value, column): optional, fills a plain-text cell
+         * - input: input type for editors and the filter builder
+         */
+        registerColumnType: function(name, definition) {
+            const base = definition.base || 'text';
+            const inherited = this.columnTypes[name !== base ? base : 'text'];
+            
+            this.columnTypes[name] = Object.assign({}, inherited, definition, { name: name, base: base });
+            return this.columnTypes[name];
+        },
+        
+        /**
+         * Get a column type, falling back to text
+         */
+        getColumnType: function(name) {
+            return this.columnTypes[name] || this.columnTypes.text;
+        },
+
         /**
          * Get table instance by ID
          */
@@ -62,6 +732,69 @@
             return this.instances.get(tableId);
         },
 
+        /**
+         * Normalize a data source URL or options object
+         */
+        normalizeDataSource: function(dataSource) {
+            if (!dataSource) return null;
+            
+            const source = typeof dataSource === 'string' ? { url: dataSource } : dataSource;
+            
+            return Object.assign({
+                method: 'GET',
+                headers: {},
+                transformRequest: null,
+                transformResponse: null
+            }, source, {
+                method: (source.method || 'GET').toUpperCase(),
+                params: Object.assign({}, this.remoteParamNames, source.params || {})
+            });
+        },
+
+        /**
+         * Serialize nested parameters using bracket notation (filters[status][value]=active)
+         */
+        serializeParams: function(params, prefix = '', searchParams = new URLSearchParams()) {
+            Object.keys(params).forEach(key => {
+                const value = params[key];
+                const name = prefix ? `${prefix}[${key}]` : key;
+                
+                if (value === null || value === undefined || value === '') return;
+                
+                if (value instanceof Date) {
+                    searchParams.append(name, value.toISOString());
+                } else if (typeof value === 'object') {
+                    this.serializeParams(value, name, searchParams);
+                } else {
+                    searchParams.append(name, value);
+                }
+            });
+            
+            return searchParams;
+        },
+        
+        /**
+         * Read bracket-notation parameters back into a nested object
+         */
+        parseParams: function(searchParams, prefix) {
+            const result = {};
+            
+            searchParams.forEach((value, name) => {
+                if (!name.startsWith(`${prefix}[`)) return;
+                
+                const keys = Array.from(name.slice(prefix.length).matchAll(/\[([^\]]*)\]/g), match => match[1]);
+                const last = keys.pop();
+                const target = keys.reduce((node, key) => {
+                    node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+                    return node[key];
+                }, result);
+                
+                target[last] = value;
+            });
+            
+            return result;
+        },
+
         /**
          * Initialize export worker for background processing
          */
@@ -70,7 +803,92 @@
                 const workerCode = this.getExportWorkerCode();
                 const blob = new Blob([workerCode], { type: 'application/javascript' });
                 this.exportWorker = new Worker(URL.createObjectURL(blob));
+                
+                // Replies carry the job id, so concurrent exports never receive each other's files
+                this.exportWorker.onmessage = (e) => {
+                    const job = this.exportJobs.get(e.data.id);
+                    if (!job || !job.settle) return;
+                    
+                    if (e.data.error) {
+                        job.settle.reject(new Error(e.data.error));
+                    } else {
+                        job.settle.resolve(e.data.result);
+                    }
+                };
+                
+                this.exportWorker.onerror = (e) => {
+                    const job = this.activeExportJob;
+                    if (job && job.settle) {
+                        job.settle.reject(new Error(e.message || 'Export worker failed'));
+                    }
+                };
+            }
+        },
+
+        /**
+         * Queue an export job; jobs run one at a time and the promise settles with the result
+         */
+        queueExport: function(job) {
+            job.id = ++this.exportJobId;
+            job.cancelled = false;
+            job.settle = null;
+            
+            const promise = new Promise((resolve, reject) => {
+                job.resolve = resolve;
+                job.reject = reject;
+            });
+            
+            this.exportJobs.set(job.id, job);
+            this.exportQueue.push(job);
+            job.table.showExportProgress(job);
+            this.runNextExport();
+            
+            return promise;
+        },
+
+        /**
+         * Start the next queued export job
+         */
+        runNextExport: function() {
+            if (this.activeExportJob || !this.exportQueue.length) return;
+            
+            const job = this.activeExportJob = this.exportQueue.shift();
+            
+            job.table.runExportJob(job)
+                .then(job.resolve, job.reject)
+                .then(() => {
+                    this.exportJobs.delete(job.id);
+                    this.activeExportJob = null;
+                    job.table.hideExportProgress(job);
+                    this.runNextExport();
+                });
+        },
+
+        /**
+         * Cancel a queued or running export job
+         */
+        cancelExport: function(id) {
+            const job = this.exportJobs.get(id);
+            if (!job || job.cancelled) return false;
+            
+            const error = new Error('Export cancelled');
+            error.name = 'AbortError';
+            job.cancelled = true;
+            
+            const index = this.exportQueue.indexOf(job);
+            if (index !== -1) {
+                this.exportQueue.splice(index, 1);
+                this.exportJobs.delete(id);
+                job.table.hideExportProgress(job);
+                job.reject(error);
+            } else {
+                if (this.exportWorker) {
+                    this.exportWorker.postMessage({ type: 'cancel', id: id });
+                }
+                job.settle.reject(error);
             }
+            
+            return true;
         },
 
         /**
@@ -78,47 +896,56 @@
          */
         getExportWorkerCode: function() {
             return `
+                const jobs = {};
+                
+                // Rows arrive in chunks between a start and an end message for each job id
                 self.onmessage = function(e) {
-                    const { data, format, filename } = e.data;
+                    const { type, id } = e.data;
                     
-                    let result;
-                    switch (format) {
-                        case 'csv':
-                            result = generateCSV(data);
+                    switch (type) {
+                        case 'start':
+                            jobs[id] = { format: e.data.format, columns: e.data.columns, options: e.data.options, rows: [] };
+                            break;
+                        case 'chunk':
+                            if (jobs[id]) {
+                                e.data.rows.forEach(row => jobs[id].rows.push(row));
+                            }
+                            break;
+                        case 'cancel':
+                            delete jobs[id];
                             break;
-                        case 'excel':
-                            result = generateExcel(data);
+                        case 'end': {
+                            const job = jobs[id];
+                            if (!job) return;
+                            delete jobs[id];
+                            
+                            try {
+                                let result;
+                                switch (job.format) {
+                                    case 'excel':
+                                        result = buildXlsx(job.rows, job.columns);
+                                        break;
+                                    case 'pdf':
+                                        result = buildPdf(job.rows, job.columns, job.options);
+                                        break;
+                                    default:
+                                        result = buildText(job.format, job.rows, job.columns, job.options);
+                                }
+                                
+                                self.postMessage({ id, result }, result instanceof Uint8Array ? [result.buffer] : []);
+                            } catch (error) {
+                                self.postMessage({ id, error: error.message });
+                            }
                             break;
-                        default:
-                            result = generateCSV(data);
+                        }
                     }
-                    
-                    self.postMessage({ result, filename });
                 };
                 
-                function generateCSV(data) {
-                    if (!data.length) return '';
-                    
-                    const headers = Object.keys(data[0]);
-                    const csvContent = [
-                        headers.join(','),
-                        ...data.map(row => 
-                            headers.map(header => {
-                                const value = row[header] || '';
-                                return typeof value === 'string' && value.includes(',') 
-                                    ? '"' + value.replace(/"/g, '""') + '"'
-                                    : value;
-                            }).join(',')
-                        )
-                    ].join('\\n');
-                    
-                    return csvContent;
-                }
+                ${buildText.toString()}
                 
-                function generateExcel(data) {
-                    // Basic Excel format generation
-                    return generateCSV(data);
-                }
+                ${buildXlsx.toString()}
+                
+                ${buildPdf.toString()}
             `;
         }
     };
@@ -134,10 +961,51 @@
         this.currentPage = 1;
         this.sortColumn = null;
         this.sortDirection = 'asc';
+        this.sortStack = [];
         this.filters = {};
+        this.searchQuery = '';
+        this.filterTree = { logic: 'and', conditions: [] };
+        this.filterPatterns = new Map();
         this.selectedRows = new Set();
+        this.retainedSelection = new Map();
+        this.selectionAnchor = null;
+        this.allMatchingSelected = false;
         this.columns = [];
+        this.columnOrder = [];
+        this.globalListeners = [];
         this.state = {};
+        this.dataSource = config.dataSource;
+        this.isRemote = !!config.dataSource;
+        this.totalItems = 0;
+        this.remoteLinks = null;
+        this.remoteAggregates = null;
+        this.remoteController = null;
+        this.virtualActive = false;
+        this.virtualRange = null;
+        this.virtualFocus = null;
+        this.virtualRowHeight = 0;
+        this.virtualWarnings = new Set();
+        this.editing = null;
+        this.groupBy = [...(config.groupBy || [])];
+        this.collapsedGroups = new Set();
+        this.aggregateScope = this.config.aggregateScope;
+        this.defaultPageSize = this.config.pageSize;
+        this.restoringUrl = false;
+        this.handlePopState = null;
+        this.cardLayout = false;
+        this.frozenApplied = false;
+        this.collator = null;
+        this.detailsExpanded = false;
+        this.detailExceptions = new Set();
+        this.detailRows = new Map();
+        this.importState = null;
+        this.views = [];
+        this.activeView = null;
+        this.liveCursor = null;
+        this.liveEventId = null;
+        this.liveTimer = null;
+        this.liveSource = null;
+        this.liveQueue = [];
         
         this.init();
     }
@@ -157,8 +1025,16 @@
             this.setupExport();
             this.setupResponsive();
             this.loadState();
+            this.setupUrlSync();
+            this.setupViews();
             this.render();
             
+            if (this.isRemote) {
+                this.loadRemoteData();
+            }
+            
+            this.setupLiveUpdates();
+            
             // Mark as initialized
             this.table.classList.add('wink-table-initialized');
             this.table.setAttribute('data-wink-table', this.table.id);
@@ -177,15 +1053,29 @@
             toolbar.innerHTML = `
                 <div class="wink-table-toolbar-left">
                     <div class="wink-bulk-actions" style="display: none;">
+                        <span class="wink-bulk-count"></span>
                         <select class="wink-bulk-action-select">
                             <option value="">Bulk Actions</option>
-                            <option value="delete">Delete Selected</option>
-                            <option value="export">Export Selected</option>
                         </select>
                         <button type="button" class="wink-btn wink-btn-sm wink-bulk-apply">Apply</button>
+                        <span class="wink-bulk-progress" role="status" aria-live="polite"></span>
                     </div>
+                    <div class="wink-sort-summary" style="display: none;"></div>
+                    <span class="wink-live-status" role="status" style="display: none;"></span>
                 </div>
                 <div class="wink-table-toolbar-right">
+                    <div class="wink-table-views" style="display: none;">
+                        <div class="wink-dropdown">
+                            <button type="button" class="wink-btn wink-btn-sm wink-views-toggle" aria-haspopup="true" aria-expanded="false">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                    <path d="M17,3H7A2,2 0 0,0 5,5V21L12,18L19,21V5C19,3.89 18.1,3 17,3Z" />
+                                </svg>
+                                <span class="wink-views-label">Views</span>
+                            </button>
+                            <div class="wink-dropdown-menu wink-views-menu"></div>
+                        </div>
+                        <input type="file" class="wink-views-file" accept=".json,application/json" hidden>
+                    </div>
                     <div class="wink-table-search">
                         <input type="text" placeholder="Search..." class="wink-table-search-input">
                     </div>
@@ -197,6 +1087,40 @@
                             Filters
                         </button>
                     </div>
+                    <div class="wink-table-details" style="display: none;">
+                        <button type="button" class="wink-btn wink-btn-sm" data-detail-action="expand-all">Expand all</button>
+                        <button type="button" class="wink-btn wink-btn-sm" data-detail-action="collapse-all">Collapse all</button>
+                    </div>
+                    <div class="wink-table-grouping" style="display: none;">
+                        <div class="wink-dropdown">
+                            <button type="button" class="wink-btn wink-btn-sm wink-group-toggle-menu" aria-haspopup="true" aria-expanded="false">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                    <path d="M3,3H9V7H3V3M15,10H21V14H15V10M15,17H21V21H15V17M13,13H7V18H13V20H7L5,20V9H7V11H13V13Z" />
+                                </svg>
+                                Group
+                            </button>
+                            <div class="wink-dropdown-menu wink-grouping-menu"></div>
+                        </div>
+                    </div>
+                    <div class="wink-table-columns">
+                        <div class="wink-dropdown">
+                            <button type="button" class="wink-btn wink-btn-sm wink-columns-toggle" aria-haspopup="true" aria-expanded="false">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                    <path d="M3,4H7V20H3V4M9,4H15V20H9V4M17,4H21V20H17V4Z" />
+                                </svg>
+                                Columns
+                            </button>
+                            <div class="wink-dropdown-menu wink-columns-menu"></div>
+                        </div>
+                    </div>
+                    <div class="wink-table-import" style="display: none;">
+                        <button type="button" class="wink-btn wink-btn-sm wink-import-toggle">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M13,9V3.5L18.5,9H13M12,12L16,16H13.5V19H10.5V16H8L12,12Z" />
+                            </svg>
+                            Import
+                        </button>
+                    </div>
                     <div class="wink-table-export">
                         <div class="wink-dropdown">
                             <button type="button" class="wink-btn wink-btn-sm wink-export-toggle">
@@ -206,9 +1130,14 @@
                                 Export
                             </button>
                             <div class="wink-dropdown-menu">
-                                <a href="#" class="wink-dropdown-item" data-format="csv">CSV</a>
-                                <a href="#" class="wink-dropdown-item" data-format="excel">Excel</a>
-                                <a href="#" class="wink-dropdown-item" data-format="pdf">PDF</a>
+                                ${this.getExportFormats().map(format => format === 'pdf' ? `
+                                    <a href="#" class="wink-dropdown-item" data-format="pdf" data-orientation="portrait">PDF (Portrait)</a>
+                                    <a href="#" class="wink-dropdown-item" data-format="pdf" data-orientation="landscape">PDF (Landscape)</a>
+                                ` : `
+                                    <a href="#" class="wink-dropdown-item" data-format="${format}">${TableManager.exportFileTypes[format].label}</a>
+                                `).join('')}
+                                <div class="wink-dropdown-divider"></div>
+                                <a href="#" class="wink-dropdown-item" data-export-dialog>More options...</a>
                             </div>
                         </div>
                     </div>
@@ -220,9 +1149,23 @@
             filterPanel.className = 'wink-table-filter-panel';
             filterPanel.style.display = 'none';
 
+            // Create card layout controls, shown instead of the header on small screens
+            const cardControls = document.createElement('div');
+            cardControls.className = 'wink-card-controls';
+            cardControls.style.display = 'none';
+
+            // Create cross-page selection banner
+            const selectionBanner = document.createElement('div');
+            selectionBanner.className = 'wink-selection-banner';
+            selectionBanner.setAttribute('role', 'status');
+            selectionBanner.style.display = 'none';
+
             // Create table container
             const tableContainer = document.createElement('div');
             tableContainer.className = 'wink-table-container';
+            if (this.config.stickyHeader) {
+                tableContainer.classList.add('wink-table-sticky');
+            }
 
             // Create pagination
             const pagination = document.createElement('div');
@@ -232,6 +1175,8 @@
             this.table.parentNode.insertBefore(wrapper, this.table);
             wrapper.appendChild(toolbar);
             wrapper.appendChild(filterPanel);
+            wrapper.appendChild(selectionBanner);
+            wrapper.appendChild(cardControls);
             wrapper.appendChild(tableContainer);
             wrapper.appendChild(pagination);
             tableContainer.appendChild(this.table);
@@ -240,6 +1185,8 @@
             this.wrapper = wrapper;
             this.toolbar = toolbar;
             this.filterPanel = filterPanel;
+            this.selectionBanner = selectionBanner;
+            this.cardControls = cardControls;
             this.tableContainer = tableContainer;
             this.paginationContainer = pagination;
         },
@@ -258,14 +1205,30 @@
                     sortable: header.hasAttribute('data-sortable'),
                     filterable: header.hasAttribute('data-filterable'),
                     type: header.getAttribute('data-type') || 'text',
+                    typeOptions: this.parseTypeOptions(header.getAttribute('data-type-options')),
                     width: header.style.width || 'auto',
+                    defaultWidth: header.style.width || 'auto',
                     visible: !header.hasAttribute('data-hidden'),
+                    defaultVisible: !header.hasAttribute('data-hidden'),
                     resizable: this.config.enableColumnResize && header.hasAttribute('data-resizable'),
+                    reorderable: this.config.enableColumnReorder && header.getAttribute('data-reorderable') !== 'false',
+                    html: header.hasAttribute('data-html'),
+                    editable: header.hasAttribute('data-editable'),
+                    groupable: header.hasAttribute('data-groupable'),
+                    priority: header.hasAttribute('data-priority') ? parseInt(header.getAttribute('data-priority'), 10) : null,
+                    frozen: this.parseFrozen(header.getAttribute('data-frozen')),
+                    defaultFrozen: this.parseFrozen(header.getAttribute('data-frozen')),
+                    aggregate: header.getAttribute('data-aggregate') || null,
+                    groupAggregates: (header.getAttribute('data-group-aggregates') || '')
+                        .split(',').map(type => type.trim()).filter(Boolean),
+                    options: this.parseColumnOptions(header.getAttribute('data-options')),
                     element: header
                 };
                 
                 return column;
             });
+            
+            this.columnOrder = this.columns.map(column => column.key);
         },
 
         /**
@@ -278,25 +1241,21 @@
                 const cells = row.querySelectorAll('td, th');
                 const rowData = { _index: rowIndex, _element: row };
                 
+                if (row.hasAttribute('data-id')) {
+                    rowData._id = row.getAttribute('data-id');
+                }
+                
                 cells.forEach((cell, cellIndex) => {
                     const column = this.columns[cellIndex];
                     if (column) {
-                        let value = cell.textContent.trim();
+                        rowData[column.key] = this.parseCellValue(column, cell.textContent.trim());
+                        this.decorateCell(cell, column);
                         
-                        // Parse value based on column type
-                        switch (column.type) {
-                            case 'number':
-                                value = parseFloat(value) || 0;
-                                break;
-                            case 'date':
-                                value = new Date(value);
-                                break;
-                            case 'boolean':
-                                value = value.toLowerCase() === 'true' || value === '1';
-                                break;
+                        // Types with a renderer upgrade plain-text cells, leaving server markup alone
+                        const type = TableManager.getColumnType(column.type);
+                        if (type.render && !column.html && !cell.children.length) {
+                            type.render(cell, rowData[column.key], column);
                         }
-                        
-                        rowData[column.key] = value;
                     }
                 });
                 
@@ -304,6 +1263,74 @@
             });
             
             this.filteredData = [...this.data];
+            this.totalItems = this.data.length;
+        },
+
+        /**
+         * Normalize a data-frozen value to 'left', 'right' or null
+         */
+        parseFrozen: function(value) {
+            return value === 'left' || value === 'right' ? value : null;
+        },
+
+        /**
+         * Parse data-type-options JSON, ignoring malformed values
+         */
+        parseTypeOptions: function(attribute) {
+            if (!attribute) return {};
+            
+            try {
+                const options = JSON.parse(attribute);
+                return options && typeof options === 'object' && !Array.isArray(options) ? options : {};
+            } catch (e) {
+                console.warn('Invalid data-type-options:', e);
+                return {};
+            }
+        },
+
+        /**
+         * Parse data-options as JSON (array or value/label map) or a comma-separated list
+         */
+        parseColumnOptions: function(attribute) {
+            if (!attribute) return null;
+            
+            let options;
+            try {
+                options = JSON.parse(attribute);
+            } catch (e) {
+                options = attribute.split(',').map(option => option.trim());
+            }
+            
+            if (Array.isArray(options)) {
+                return options.map(option => typeof option === 'object'
+                    ? { value: String(option.value), label: String(option.label !== undefined ? option.label : option.value) }
+                    : { value: String(option), label: String(option) });
+            }
+            
+            return Object.keys(options).map(value => ({ value: value, label: String(options[value]) }));
+        },
+
+        /**
+         * Apply per-column classes and attributes to a data cell
+         */
+        decorateCell: function(cell, column) {
+            cell.style.display = column.visible ? '' : 'none';
+            
+            // Card layout labels and low-priority fields
+            cell.setAttribute('data-label', column.title);
+            cell.classList.toggle('wink-card-optional', column.priority !== null && column.priority > this.config.cardPriority);
+            
+            if (column.editable) {
+                cell.classList.add('wink-editable-cell');
+                cell.setAttribute('tabindex', '0');
+            }
+        },
+
+        /**
+         * Parse a raw cell value based on column type
+         */
+        parseCellValue: function(column, value) {
+            return TableManager.getColumnType(column.type).parse(value, column);
         },
 
         /**
@@ -334,16 +1361,42 @@
             // Export dropdown
             this.setupExportDropdown();
 
+            // Paste and CSV import
+            this.setupImport();
+
+            // Column visibility chooser
+            this.setupColumnChooser();
+
+            // Row grouping
+            this.setupGrouping();
+
             // Row selection
             this.setupRowSelection();
 
+            // Expandable detail rows
+            this.setupDetailRows();
+
             // Column resizing
             if (this.config.enableColumnResize) {
                 this.setupColumnResize();
             }
 
+            // Column reordering
+            if (this.config.enableColumnReorder) {
+                this.setupColumnReorder();
+            }
+
+            // Virtual scrolling
+            this.setupVirtualScroll();
+
+            // Inline editing
+            this.setupInlineEditing();
+
+            // Grid keyboard navigation
+            this.setupKeyboardNavigation();
+
             // Responsive handling
-            window.addEventListener('resize', WinkViews.Utils.throttle(() => {
+            this.addGlobalListener(window, 'resize', WinkViews.Utils.throttle(() => {
                 this.handleResize();
             }, 250));
         },
@@ -364,10 +1417,19 @@
                     
                     column.element.addEventListener('click', (e) => {
                         e.preventDefault();
-                        this.sort(column.key);
+                        this.sort(column.key, e.shiftKey);
                     });
                 }
             });
+            
+            const summary = this.toolbar.querySelector('.wink-sort-summary');
+            if (summary) {
+                summary.addEventListener('click', (e) => {
+                    if (e.target.classList.contains('wink-sort-clear')) {
+                        this.clearSort();
+                    }
+                });
+            }
         },
 
         /**
@@ -391,29 +1453,312 @@
             // Add checkboxes to data rows
             const dataRows = this.table.querySelectorAll('tbody tr');
             dataRows.forEach((row, index) => {
-                const selectCell = document.createElement('td');
-                selectCell.className = 'wink-select-column';
-                selectCell.innerHTML = `<input type="checkbox" class="wink-select-row" data-index="${index}">`;
-                row.insertBefore(selectCell, row.firstChild);
-                
-                const checkbox = selectCell.querySelector('.wink-select-row');
-                checkbox.addEventListener('change', () => {
-                    this.toggleRowSelection(index);
-                });
+                this.attachRowCheckbox(row, index);
+            });
+            
+            this.selectionBanner.addEventListener('click', (e) => {
+                const action = e.target.getAttribute('data-selection-action');
+                if (action === 'select-matching') {
+                    this.selectAllMatching();
+                } else if (action === 'clear') {
+                    this.clearSelection();
+                }
+            });
+        },
+
+        /**
+         * Prepend a selection checkbox cell to a data row
+         */
+        attachRowCheckbox: function(row, index) {
+            const selectCell = document.createElement('td');
+            selectCell.className = 'wink-select-column';
+            selectCell.setAttribute('data-label', '');
+            selectCell.innerHTML = `<input type="checkbox" class="wink-select-row" data-index="${index}">`;
+            row.insertBefore(selectCell, row.firstChild);
+            
+            // Click rather than change, so shift-click can select a range
+            const checkbox = selectCell.querySelector('.wink-select-row');
+            checkbox.addEventListener('click', (e) => {
+                this.toggleRowSelection(index, e.shiftKey);
+            });
+        },
+
+        /**
+         * Setup expand toggles and the expand/collapse all controls for detail rows
+         */
+        setupDetailRows: function() {
+            if (!this.hasDetails()) return;
+            
+            this.data.forEach(rowData => this.attachDetailToggle(rowData._element));
+            
+            const controls = this.toolbar.querySelector('.wink-table-details');
+            controls.style.display = '';
+            controls.addEventListener('click', (e) => {
+                const action = e.target.getAttribute('data-detail-action');
+                if (action === 'expand-all') {
+                    this.expandAllRows();
+                } else if (action === 'collapse-all') {
+                    this.collapseAllRows();
+                }
+            });
+            
+            this.table.addEventListener('click', (e) => {
+                const toggle = e.target.closest('.wink-detail-toggle');
+                if (!toggle) return;
+                
+                const rowData = this.getRowData(toggle.closest('tr'));
+                if (rowData) {
+                    this.toggleRowDetail(rowData);
+                }
+            });
+        },
+
+        /**
+         * Check whether rows have detail content
+         */
+        hasDetails: function() {
+            return !!(this.config.detailUrl || this.config.detailTemplate);
+        },
+
+        /**
+         * Add the expand toggle to a row's control cell
+         */
+        attachDetailToggle: function(row) {
+            const cell = row.querySelector(':scope > .wink-select-column');
+            if (!cell || !this.hasDetails()) return;
+            
+            cell.insertAdjacentHTML('afterbegin', `
+                <button type="button" class="wink-detail-toggle" aria-expanded="false" aria-label="Show details">
+                    <span aria-hidden="true">&#9656;</span>
+                </button>
+            `);
+        },
+
+        /**
+         * Key detail state by row ID so it survives sorting, paging and remote reloads
+         */
+        getDetailKey: function(rowData) {
+            return rowData._id !== undefined && rowData._id !== null ? String(rowData._id) : `index:${rowData._index}`;
+        },
+
+        /**
+         * Check whether a row's detail is expanded
+         */
+        isRowExpanded: function(rowData) {
+            return this.detailsExpanded !== this.detailExceptions.has(this.getDetailKey(rowData));
+        },
+
+        /**
+         * Expand or collapse a row's detail (toggles when expanded is omitted)
+         */
+        toggleRowDetail: function(rowData, expanded) {
+            const expand = expanded === undefined ? !this.isRowExpanded(rowData) : !!expanded;
+            if (expand === this.isRowExpanded(rowData)) return;
+            
+            const key = this.getDetailKey(rowData);
+            if (this.detailExceptions.has(key)) {
+                this.detailExceptions.delete(key);
+            } else {
+                this.detailExceptions.add(key);
+            }
+            
+            this.renderDetailRows();
+            
+            this.table.dispatchEvent(new CustomEvent(expand ? 'wink:table:rowExpanded' : 'wink:table:rowCollapsed', {
+                detail: { row: rowData, table: this }
+            }));
+        },
+
+        /**
+         * Expand every row, including rows on other pages
+         */
+        expandAllRows: function() {
+            this.detailsExpanded = true;
+            this.detailExceptions.clear();
+            this.renderDetailRows();
+            WinkViews.A11y.announceChange('All rows expanded');
+        },
+
+        /**
+         * Collapse every row
+         */
+        collapseAllRows: function() {
+            this.detailsExpanded = false;
+            this.detailExceptions.clear();
+            this.renderDetailRows();
+            WinkViews.A11y.announceChange('All rows collapsed');
+        },
+
+        /**
+         * Insert detail rows beneath the displayed rows that are expanded
+         */
+        renderDetailRows: function() {
+            const tbody = this.table.querySelector('tbody');
+            if (!tbody || !this.hasDetails()) return;
+            
+            tbody.querySelectorAll('.wink-detail-row').forEach(row => row.remove());
+            
+            this.getPageItems().forEach(rowData => {
+                const row = rowData._element;
+                if (rowData._group || !row || row.parentNode !== tbody || row.style.display === 'none') return;
+                
+                const expanded = this.isRowExpanded(rowData);
+                const toggle = row.querySelector('.wink-detail-toggle');
+                if (toggle) {
+                    toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+                    toggle.setAttribute('aria-label', expanded ? 'Hide details' : 'Show details');
+                }
+                
+                row.classList.toggle('wink-row-expanded', expanded);
+                
+                if (expanded) {
+                    const detailRow = this.getDetailRow(rowData);
+                    row.parentNode.insertBefore(detailRow, row.nextSibling);
+                    if (toggle) {
+                        toggle.setAttribute('aria-controls', detailRow.id);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Get the (cached) detail row for a row, loading its content the first time
+         */
+        getDetailRow: function(rowData) {
+            const key = this.getDetailKey(rowData);
+            let detailRow = this.detailRows.get(key);
+            
+            if (!detailRow) {
+                detailRow = document.createElement('tr');
+                detailRow.className = 'wink-detail-row';
+                detailRow.id = `${this.table.id}-detail-${WinkViews.Utils.generateId()}`;
+                detailRow.innerHTML = '<td class="wink-detail-cell"></td>';
+                
+                this.detailRows.set(key, detailRow);
+                this.loadRowDetail(rowData, detailRow.firstChild);
+            }
+            
+            detailRow.style.display = '';
+            detailRow.firstChild.setAttribute('colspan', this.getVisibleColumns().length + 1);
+            return detailRow;
+        },
+
+        /**
+         * Fill a detail cell from the row template or the detail URL
+         */
+        loadRowDetail: function(rowData, cell) {
+            const key = this.getDetailKey(rowData);
+            const loaded = () => {
+                this.table.dispatchEvent(new CustomEvent('wink:table:detailLoaded', {
+                    detail: { row: rowData, element: cell, table: this }
+                }));
+            };
+            
+            const template = this.config.detailTemplate && document.querySelector(this.config.detailTemplate);
+            if (template) {
+                cell.appendChild(this.fillDetailTemplate(template, rowData));
+                loaded();
+                return;
+            }
+            
+            const url = (rowData._element && rowData._element.getAttribute('data-detail-url')) ||
+                (this.config.detailUrl && this.expandRowUrl(this.config.detailUrl, rowData));
+            
+            // A template selector that matches nothing and no URL leaves nothing to show
+            if (!url) {
+                cell.innerHTML = '<div class="wink-detail-empty">No details available.</div>';
+                loaded();
+                return;
+            }
+            
+            cell.innerHTML = '<div class="wink-detail-loading">Loading...</div>';
+            
+            fetch(url, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'text/html'
+                }
+            })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+                return response.text();
+            })
+            .then(html => {
+                cell.innerHTML = html;
+                loaded();
+            })
+            .catch(error => {
+                console.error('Detail load error:', error);
+                cell.innerHTML = '<div class="wink-detail-error">Failed to load details.</div>';
+                
+                // Drop the failed row from the cache so expanding again retries
+                this.detailRows.delete(key);
             });
         },
 
+        /**
+         * Clone a <template>, replacing {column} tokens in text and attributes with the row's values
+         */
+        fillDetailTemplate: function(template, rowData) {
+            const fragment = template.content.cloneNode(true);
+            const replace = (text) => text.replace(/\{([\w.]+)\}/g, (match, key) => this.getDetailValue(rowData, key));
+            const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+            
+            while (walker.nextNode()) {
+                const node = walker.currentNode;
+                if (node.nodeType === Node.TEXT_NODE) {
+                    node.nodeValue = replace(node.nodeValue);
+                } else {
+                    Array.from(node.attributes).forEach(attribute => {
+                        attribute.value = replace(attribute.value);
+                    });
+                }
+            }
+            
+            return fragment;
+        },
+
+        /**
+         * Read a row value for a detail template token, as displayed in the table where possible
+         */
+        getDetailValue: function(rowData, key) {
+            if (key === 'id' || key === this.config.primaryKey) {
+                return rowData._id === undefined || rowData._id === null ? '' : String(rowData._id);
+            }
+            
+            const index = this.columns.findIndex(column => column.key === key);
+            if (index !== -1 && rowData._element) {
+                const cell = this.getColumnCells(rowData._element)[index];
+                if (cell) return cell.textContent.trim();
+            }
+            
+            const value = rowData._record ? this.getRecordValue(rowData._record, key) : rowData[key];
+            return value === null || value === undefined ? '' : String(value);
+        },
+
         /**
          * Setup bulk actions
          */
         setupBulkActions: function() {
+            const select = this.toolbar.querySelector('.wink-bulk-action-select');
+            if (select) {
+                this.getBulkActions().forEach(action => {
+                    const option = document.createElement('option');
+                    option.value = action.key;
+                    option.textContent = action.label;
+                    select.appendChild(option);
+                });
+            }
+            
             const bulkApply = this.toolbar.querySelector('.wink-bulk-apply');
             if (bulkApply) {
                 bulkApply.addEventListener('click', () => {
                     const select = this.toolbar.querySelector('.wink-bulk-action-select');
                     const action = select.value;
                     
-                    if (action && this.selectedRows.size > 0) {
+                    if (action && this.getSelectionCount() > 0) {
                         this.executeBulkAction(action);
                     }
                 });
@@ -435,19 +1780,25 @@
                     label.textContent = column.title;
                     label.className = 'wink-filter-label';
                     
+                    const filterUI = TableManager.getColumnType(column.type).filterUI;
+                    
                     let filterInput;
-                    switch (column.type) {
-                        case 'select':
-                            filterInput = this.createSelectFilter(column);
-                            break;
-                        case 'date':
-                            filterInput = this.createDateFilter(column);
-                            break;
-                        case 'number':
-                            filterInput = this.createNumberFilter(column);
-                            break;
-                        default:
-                            filterInput = this.createTextFilter(column);
+                    if (typeof filterUI === 'function') {
+                        filterInput = filterUI(column, this);
+                    } else {
+                        switch (filterUI) {
+                            case 'select':
+                                filterInput = this.createSelectFilter(column);
+                                break;
+                            case 'date':
+                                filterInput = this.createDateFilter(column);
+                                break;
+                            case 'number':
+                                filterInput = this.createNumberFilter(column);
+                                break;
+                            default:
+                                filterInput = this.createTextFilter(column);
+                        }
                     }
                     
                     filterGroup.appendChild(label);
@@ -464,6 +1815,8 @@
                 <button type="button" class="wink-btn wink-btn-secondary wink-btn-sm wink-clear-filters">Clear</button>
             `;
             
+            this.setupFilterBuilder();
+            
             filterPanel.appendChild(filterActions);
             
             // Filter event listeners
@@ -477,62 +1830,456 @@
         },
 
         /**
-         * Create text filter input
+         * Setup the advanced filter builder inside the filter panel
          */
-        createTextFilter: function(column) {
-            const input = document.createElement('input');
-            input.type = 'text';
-            input.className = 'wink-filter-input';
-            input.setAttribute('data-column', column.key);
-            input.placeholder = `Filter ${column.title}...`;
+        setupFilterBuilder: function() {
+            if (!this.columns.some(column => column.filterable)) return;
             
-            return input;
+            const builder = document.createElement('div');
+            builder.className = 'wink-filter-builder';
+            this.filterPanel.appendChild(builder);
+            this.filterBuilder = builder;
+            
+            builder.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-builder-action]');
+                if (!button) return;
+                
+                const path = button.getAttribute('data-path');
+                const node = this.getFilterNode(path);
+                
+                switch (button.getAttribute('data-builder-action')) {
+                    case 'add-condition':
+                        node.conditions.push(this.createFilterCondition());
+                        break;
+                    case 'add-group':
+                        node.conditions.push({ logic: node.logic === 'and' ? 'or' : 'and', conditions: [this.createFilterCondition()] });
+                        break;
+                    case 'remove': {
+                        const indexes = path.split('.');
+                        const index = parseInt(indexes.pop(), 10);
+                        this.getFilterNode(indexes.join('.')).conditions.splice(index, 1);
+                        break;
+                    }
+                }
+                
+                this.renderFilterBuilder();
+            });
+            
+            // Typing updates the tree in place, structural changes re-render
+            const update = (e) => {
+                const field = e.target.getAttribute('data-field');
+                if (!field) return;
+                
+                const node = this.getFilterNode(e.target.getAttribute('data-path'));
+                const value = e.target.value;
+                
+                switch (field) {
+                    case 'logic':
+                        node.logic = value === 'or' ? 'or' : 'and';
+                        break;
+                    case 'column':
+                        Object.assign(node, this.createFilterCondition(value));
+                        break;
+                    case 'operator':
+                        node.operator = value;
+                        node.value = this.getFilterOperator(value).values === 2 ? ['', ''] : '';
+                        break;
+                    case 'value':
+                        node.value = this.getFilterOperator(node.operator).values === 'list'
+                            ? value.split(',').map(item => item.trim()).filter(Boolean)
+                            : value;
+                        break;
+                    case 'from':
+                    case 'to':
+                        node.value = Array.isArray(node.value) ? node.value : ['', ''];
+                        node.value[field === 'from' ? 0 : 1] = value;
+                        break;
+                }
+                
+                if (e.type === 'change' && ['logic', 'column', 'operator'].includes(field)) {
+                    this.renderFilterBuilder();
+                }
+            };
+            
+            builder.addEventListener('input', update);
+            builder.addEventListener('change', update);
+            
+            this.renderFilterBuilder();
         },
 
         /**
-         * Create select filter
+         * Create a new filter condition for a column
          */
-        createSelectFilter: function(column) {
-            const select = document.createElement('select');
-            select.className = 'wink-filter-select';
-            select.setAttribute('data-column', column.key);
+        createFilterCondition: function(columnKey) {
+            const column = this.columns.find(col => col.key === columnKey) ||
+                this.columns.find(col => col.filterable);
+            const base = TableManager.getColumnType(column.type).base;
             
-            // Get unique values for this column
-            const uniqueValues = [...new Set(this.data.map(row => row[column.key]))];
+            return {
+                column: column.key,
+                operator: base === 'number' || base === 'date' ? 'equals' : 'contains',
+                value: ''
+            };
+        },
+
+        /**
+         * Get a filter operator definition
+         */
+        getFilterOperator: function(operator) {
+            return TableManager.filterOperators[operator] || TableManager.filterOperators.equals;
+        },
+
+        /**
+         * Find a node in the filter tree by its dotted index path ('' is the root group)
+         */
+        getFilterNode: function(path) {
+            return (path ? path.split('.') : []).reduce((node, index) => node.conditions[index], this.filterTree);
+        },
+
+        /**
+         * Render the filter builder from the filter tree
+         */
+        renderFilterBuilder: function() {
+            if (!this.filterBuilder) return;
             
-            const defaultOption = document.createElement('option');
-            defaultOption.value = '';
-            defaultOption.textContent = 'All';
-            select.appendChild(defaultOption);
+            this.filterBuilder.innerHTML = '<div class="wink-filter-label">Advanced filters</div>';
+            this.filterBuilder.appendChild(this.createFilterGroupElement(this.filterTree, ''));
+        },
+
+        /**
+         * Create the element for a group of filter conditions
+         */
+        createFilterGroupElement: function(group, path) {
+            const element = document.createElement('div');
+            element.className = 'wink-builder-group';
+            element.innerHTML = `
+                <div class="wink-builder-group-header">
+                    <select class="wink-builder-field" data-field="logic" data-path="${path}" aria-label="Group logic">
+                        <option value="and" ${group.logic === 'and' ? 'selected' : ''}>Match all (AND)</option>
+                        <option value="or" ${group.logic === 'or' ? 'selected' : ''}>Match any (OR)</option>
+                    </select>
+                    <button type="button" class="wink-btn wink-btn-sm" data-builder-action="add-condition" data-path="${path}">+ Condition</button>
+                    <button type="button" class="wink-btn wink-btn-sm" data-builder-action="add-group" data-path="${path}">+ Group</button>
+                    ${path ? `<button type="button" class="wink-btn wink-btn-sm wink-builder-remove" data-builder-action="remove" data-path="${path}" aria-label="Remove group">&times;</button>` : ''}
+                </div>
+                <div class="wink-builder-conditions"></div>
+            `;
             
-            uniqueValues.forEach(value => {
-                const option = document.createElement('option');
-                option.value = value;
-                option.textContent = value;
-                select.appendChild(option);
+            const list = element.querySelector('.wink-builder-conditions');
+            group.conditions.forEach((node, index) => {
+                const nodePath = path ? `${path}.${index}` : String(index);
+                list.appendChild(node.conditions
+                    ? this.createFilterGroupElement(node, nodePath)
+                    : this.createFilterConditionElement(node, nodePath));
             });
             
-            return select;
+            return element;
         },
 
         /**
-         * Create date filter
+         * Create the element for a single filter condition
          */
-        createDateFilter: function(column) {
-            const container = document.createElement('div');
-            container.className = 'wink-date-filter';
+        createFilterConditionElement: function(condition, path) {
+            const column = this.columns.find(col => col.key === condition.column) || {};
+            const operator = this.getFilterOperator(condition.operator);
+            const type = TableManager.getColumnType(column.type);
+            const inputType = type.base === 'number' || type.base === 'date' ? type.input : 'text';
             
-            const fromInput = document.createElement('input');
-            fromInput.type = 'date';
-            fromInput.className = 'wink-filter-input';
-            fromInput.setAttribute('data-column', column.key);
-            fromInput.setAttribute('data-type', 'from');
-            fromInput.placeholder = 'From';
+            const element = document.createElement('div');
+            element.className = 'wink-builder-condition';
+            element.innerHTML = `
+                <select class="wink-builder-field" data-field="column" data-path="${path}" aria-label="Column">
+                    ${this.columns.filter(col => col.filterable).map(col => `<option value="${col.key}" ${col.key === column.key ? 'selected' : ''}></option>`).join('')}
+                </select>
+                <select class="wink-builder-field" data-field="operator" data-path="${path}" aria-label="Operator">
+                    ${Object.keys(TableManager.filterOperators).map(key => `<option value="${key}" ${key === condition.operator ? 'selected' : ''}>${TableManager.filterOperators[key].label}</option>`).join('')}
+                </select>
+                ${operator.values === 2 ? `
+                    <input type="${inputType}" class="wink-builder-field" data-field="from" data-path="${path}" placeholder="From" aria-label="From">
+                    <input type="${inputType}" class="wink-builder-field" data-field="to" data-path="${path}" placeholder="To" aria-label="To">
+                ` : ''}
+                ${operator.values === 1 || operator.values === 'list' ? `
+                    <input type="${operator.values === 'list' || condition.operator === 'regex' ? 'text' : inputType}" class="wink-builder-field" data-field="value" data-path="${path}"
+                        placeholder="${operator.values === 'list' ? 'Comma-separated values' : 'Value'}" aria-label="Value">
+                ` : ''}
+                <button type="button" class="wink-btn wink-btn-sm wink-builder-remove" data-builder-action="remove" data-path="${path}" aria-label="Remove condition">&times;</button>
+            `;
             
-            const toInput = document.createElement('input');
-            toInput.type = 'date';
-            toInput.className = 'wink-filter-input';
-            toInput.setAttribute('data-column', column.key);
+            // User-entered text is assigned as properties rather than interpolated
+            this.columns.filter(col => col.filterable).forEach((col, index) => {
+                element.querySelectorAll('[data-field="column"] option')[index].textContent = col.title;
+            });
+            
+            const value = element.querySelector('[data-field="value"]');
+            if (value) {
+                value.value = Array.isArray(condition.value) ? condition.value.join(', ') : condition.value;
+            }
+            
+            if (operator.values === 2) {
+                const range = Array.isArray(condition.value) ? condition.value : ['', ''];
+                element.querySelector('[data-field="from"]').value = range[0];
+                element.querySelector('[data-field="to"]').value = range[1];
+            }
+            
+            return element;
+        },
+
+        /**
+         * Get the filter tree without incomplete conditions or empty groups, or null when nothing applies
+         */
+        getActiveFilterTree: function(group = this.filterTree) {
+            const conditions = group.conditions
+                .map(node => node.conditions ? this.getActiveFilterTree(node) : node)
+                .filter(node => {
+                    if (!node) return false;
+                    if (node.conditions) return true;
+                    
+                    const operator = this.getFilterOperator(node.operator);
+                    if (operator.values === 0) return true;
+                    if (operator.values === 2) return Array.isArray(node.value) && node.value.some(value => value !== '');
+                    if (operator.values === 'list') return Array.isArray(node.value) && node.value.length > 0;
+                    return node.value !== '' && node.value !== undefined && node.value !== null;
+                });
+            
+            return conditions.length ? { logic: group.logic, conditions: conditions } : null;
+        },
+
+        /**
+         * Get a copy of the filter tree
+         */
+        getFilterTree: function() {
+            return JSON.parse(JSON.stringify(this.filterTree));
+        },
+
+        /**
+         * Replace the filter tree and apply it
+         */
+        setFilterTree: function(tree) {
+            this.filterTree = this.normalizeFilterTree(tree) || { logic: 'and', conditions: [] };
+            
+            this.renderFilterBuilder();
+            return this.applyFilters();
+        },
+
+        /**
+         * Copy a filter tree from saved state, a URL or a view, or return null when any
+         * group or condition is malformed or uses a pattern that is not safe to run
+         */
+        normalizeFilterTree: function(tree) {
+            if (!tree || typeof tree !== 'object' || !Array.isArray(tree.conditions)) return null;
+            
+            const conditions = [];
+            
+            for (const node of tree.conditions) {
+                if (node && typeof node === 'object' && 'conditions' in node) {
+                    const group = this.normalizeFilterTree(node);
+                    if (!group) return null;
+                    
+                    conditions.push(group);
+                } else if (node && typeof node === 'object' && typeof node.column === 'string' &&
+                    TableManager.filterOperators.hasOwnProperty(node.operator)) {
+                    if (node.operator === 'regex' && !this.compileFilterPattern(node.value)) return null;
+                    
+                    conditions.push({
+                        column: node.column,
+                        operator: node.operator,
+                        value: Array.isArray(node.value) ? node.value.slice() : node.value
+                    });
+                } else {
+                    return null;
+                }
+            }
+            
+            return { logic: tree.logic === 'or' ? 'or' : 'and', conditions: conditions };
+        },
+
+        /**
+         * Compile a regex condition's pattern, once per filter pass. Returns null for
+         * invalid patterns and for patterns that could backtrack catastrophically.
+         */
+        compileFilterPattern: function(pattern) {
+            const source = pattern === null || pattern === undefined ? '' : String(pattern);
+            
+            if (!this.filterPatterns.has(source)) {
+                let compiled = null;
+                
+                if (this.isSafeFilterPattern(source)) {
+                    try {
+                        compiled = new RegExp(source, 'i');
+                    } catch (e) {
+                        compiled = null;
+                    }
+                }
+                
+                this.filterPatterns.set(source, compiled);
+            }
+            
+            return this.filterPatterns.get(source);
+        },
+
+        /**
+         * Reject long patterns and quantified groups that contain a quantifier, such as (a+)+
+         */
+        isSafeFilterPattern: function(pattern) {
+            if (pattern.length > this.config.maxPatternLength) return false;
+            
+            // One entry per open group: whether it contains a quantifier
+            const groups = [];
+            const markQuantified = () => {
+                if (groups.length) groups[groups.length - 1] = true;
+            };
+            
+            for (let i = 0; i < pattern.length; i++) {
+                const char = pattern[i];
+                
+                if (char === '\\') {
+                    i++;
+                } else if (char === '[') {
+                    // Skip the character class, which cannot hold a group
+                    for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                        if (pattern[i] === '\\') i++;
+                    }
+                } else if (char === '(') {
+                    groups.push(false);
+                } else if (char === ')') {
+                    const inner = groups.pop();
+                    const repeated = /[*+{]/.test(pattern[i + 1] || '');
+                    
+                    if (inner && repeated) return false;
+                    if (inner || repeated) markQuantified();
+                } else if (/[*+{]/.test(char) || (char === '?' && pattern[i - 1] !== '(')) {
+                    markQuantified();
+                }
+            }
+            
+            return true;
+        },
+
+        /**
+         * Check a row against a group of filter conditions
+         */
+        matchesFilterGroup: function(row, group) {
+            const test = (node) => node.conditions ? this.matchesFilterGroup(row, node) : this.matchesFilterCondition(row, node);
+            
+            return group.logic === 'or' ? group.conditions.some(test) : group.conditions.every(test);
+        },
+
+        /**
+         * Check a row against a single filter condition
+         */
+        matchesFilterCondition: function(row, condition) {
+            const column = this.columns.find(col => col.key === condition.column);
+            if (!column) return true;
+            
+            const value = row[column.key];
+            const type = TableManager.getColumnType(column.type);
+            const isEmpty = this.isEmptyValue(value);
+            
+            // Numbers and dates compare numerically (operands parsed by the column type), everything else case-insensitively
+            const comparable = (operand, parsed) => {
+                if (type.base === 'number' || type.base === 'date') {
+                    const result = parsed ? operand : type.parse(operand, column);
+                    return result instanceof Date ? result.getTime() : result;
+                }
+                return String(operand === null || operand === undefined ? '' : operand).toLowerCase();
+            };
+            const actual = comparable(value, true);
+            const text = (value instanceof Date ? this.formatCellValue(column, value) : String(isEmpty ? '' : value)).toLowerCase();
+            const operand = String(condition.value).toLowerCase();
+            
+            switch (condition.operator) {
+                case 'empty':
+                    return isEmpty;
+                case 'not_empty':
+                    return !isEmpty;
+                case 'equals':
+                    return actual === comparable(condition.value);
+                case 'not_equals':
+                    return actual !== comparable(condition.value);
+                case 'contains':
+                    return text.includes(operand);
+                case 'starts_with':
+                    return text.startsWith(operand);
+                case 'ends_with':
+                    return text.endsWith(operand);
+                case 'in':
+                    return [].concat(condition.value).some(item => comparable(item) === actual);
+                case 'between': {
+                    const [from, to] = condition.value;
+                    if (isEmpty) return false;
+                    if (from !== '' && actual < comparable(from)) return false;
+                    if (to !== '' && actual > comparable(to)) return false;
+                    return true;
+                }
+                case 'regex': {
+                    // Invalid or unsafe patterns match nothing
+                    const pattern = this.compileFilterPattern(condition.value);
+                    return pattern ? pattern.test(text) : false;
+                }
+                default:
+                    return true;
+            }
+        },
+
+        /**
+         * Create text filter input
+         */
+        createTextFilter: function(column) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'wink-filter-input';
+            input.setAttribute('data-column', column.key);
+            input.placeholder = `Filter ${column.title}...`;
+            
+            return input;
+        },
+
+        /**
+         * Create select filter
+         */
+        createSelectFilter: function(column) {
+            const select = document.createElement('select');
+            select.className = 'wink-filter-select';
+            select.setAttribute('data-column', column.key);
+            
+            // Get unique values for this column
+            const uniqueValues = [...new Set(this.data.map(row => row[column.key]))];
+            
+            const defaultOption = document.createElement('option');
+            defaultOption.value = '';
+            defaultOption.textContent = 'All';
+            select.appendChild(defaultOption);
+            
+            uniqueValues.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = this.getDisplayValue(column, value);
+                select.appendChild(option);
+            });
+            
+            return select;
+        },
+
+        /**
+         * Create date filter
+         */
+        createDateFilter: function(column) {
+            const container = document.createElement('div');
+            container.className = 'wink-date-filter';
+            
+            const inputType = TableManager.getColumnType(column.type).input;
+            
+            const fromInput = document.createElement('input');
+            fromInput.type = inputType;
+            fromInput.className = 'wink-filter-input';
+            fromInput.setAttribute('data-column', column.key);
+            fromInput.setAttribute('data-type', 'from');
+            fromInput.placeholder = 'From';
+            
+            const toInput = document.createElement('input');
+            toInput.type = inputType;
+            toInput.className = 'wink-filter-input';
+            toInput.setAttribute('data-column', column.key);
             toInput.setAttribute('data-type', 'to');
             toInput.placeholder = 'To';
             
@@ -549,15 +2296,17 @@
             const container = document.createElement('div');
             container.className = 'wink-number-filter';
             
+            const inputType = TableManager.getColumnType(column.type).input;
+            
             const minInput = document.createElement('input');
-            minInput.type = 'number';
+            minInput.type = inputType;
             minInput.className = 'wink-filter-input';
             minInput.setAttribute('data-column', column.key);
             minInput.setAttribute('data-type', 'min');
             minInput.placeholder = 'Min';
             
             const maxInput = document.createElement('input');
-            maxInput.type = 'number';
+            maxInput.type = inputType;
             maxInput.className = 'wink-filter-input';
             maxInput.setAttribute('data-column', column.key);
             maxInput.setAttribute('data-type', 'max');
@@ -573,6 +2322,24 @@
          * Setup pagination
          */
         setupPagination: function() {
+            const pagination = this.paginationContainer;
+            
+            pagination.addEventListener('click', (e) => {
+                if (e.target.classList.contains('wink-page-btn') && !e.target.disabled) {
+                    const page = parseInt(e.target.getAttribute('data-page'));
+                    this.goToPage(page);
+                }
+            });
+            
+            pagination.addEventListener('change', (e) => {
+                if (e.target.classList.contains('wink-page-size-select')) {
+                    this.config.pageSize = parseInt(e.target.value);
+                    this.currentPage = 1;
+                    this.refresh();
+                    this.saveState();
+                }
+            });
+            
             this.renderPagination();
         },
 
@@ -583,30 +2350,49 @@
             TableManager.initExportWorker();
         },
 
+        /**
+         * Get the configured export formats that have a known file type
+         */
+        getExportFormats: function() {
+            return this.config.exportFormats.filter(format => TableManager.exportFileTypes.hasOwnProperty(format));
+        },
+
         /**
          * Setup export dropdown
          */
         setupExportDropdown: function() {
             const exportToggle = this.toolbar.querySelector('.wink-export-toggle');
-            const exportMenu = this.toolbar.querySelector('.wink-dropdown-menu');
+            const exportMenu = this.toolbar.querySelector('.wink-table-export .wink-dropdown-menu');
             
             if (exportToggle && exportMenu) {
                 exportToggle.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    exportMenu.style.display = exportMenu.style.display === 'block' ? 'none' : 'block';
+                    const open = exportMenu.style.display !== 'block';
+                    this.closeToolbarMenus();
+                    exportMenu.style.display = open ? 'block' : 'none';
                 });
                 
                 // Close dropdown when clicking outside
-                document.addEventListener('click', () => {
+                this.addGlobalListener(document, 'click', () => {
                     exportMenu.style.display = 'none';
                 });
                 
                 // Export format selection
                 exportMenu.addEventListener('click', (e) => {
-                    if (e.target.hasAttribute('data-format')) {
+                    if (e.target.hasAttribute('data-export-dialog')) {
+                        e.preventDefault();
+                        exportMenu.style.display = 'none';
+                        this.openExportDialog();
+                    } else if (e.target.hasAttribute('data-format')) {
                         e.preventDefault();
                         const format = e.target.getAttribute('data-format');
-                        this.exportData(format);
+                        const options = {};
+                        
+                        if (e.target.hasAttribute('data-orientation')) {
+                            options.orientation = e.target.getAttribute('data-orientation');
+                        }
+                        
+                        this.exportData(format, null, options).catch(() => {});
                         exportMenu.style.display = 'none';
                     }
                 });
@@ -614,670 +2400,5702 @@
         },
 
         /**
-         * Setup column resizing
+         * Close every open toolbar dropdown
          */
-        setupColumnResize: function() {
-            this.columns.forEach((column, index) => {
-                if (column.resizable) {
-                    const resizer = document.createElement('div');
-                    resizer.className = 'wink-column-resizer';
-                    column.element.appendChild(resizer);
-                    
-                    let isResizing = false;
-                    let startX = 0;
-                    let startWidth = 0;
-                    
-                    resizer.addEventListener('mousedown', (e) => {
-                        isResizing = true;
-                        startX = e.clientX;
-                        startWidth = column.element.offsetWidth;
-                        
-                        document.addEventListener('mousemove', handleResize);
-                        document.addEventListener('mouseup', stopResize);
-                        e.preventDefault();
-                    });
-                    
-                    const handleResize = (e) => {
-                        if (!isResizing) return;
-                        
-                        const deltaX = e.clientX - startX;
-                        const newWidth = startWidth + deltaX;
-                        
-                        if (newWidth > 50) { // Minimum width
-                            column.element.style.width = newWidth + 'px';
-                            column.width = newWidth + 'px';
-                        }
-                    };
-                    
-                    const stopResize = () => {
-                        isResizing = false;
-                        document.removeEventListener('mousemove', handleResize);
-                        document.removeEventListener('mouseup', stopResize);
-                        this.saveState();
-                    };
-                }
+        closeToolbarMenus: function() {
+            this.toolbar.querySelectorAll('.wink-dropdown-menu').forEach(menu => {
+                menu.style.display = 'none';
+            });
+            
+            this.toolbar.querySelectorAll('[aria-expanded="true"]').forEach(toggle => {
+                toggle.setAttribute('aria-expanded', 'false');
             });
         },
 
         /**
-         * Setup responsive handling
+         * Setup the column visibility menu
          */
-        setupResponsive: function() {
-            this.handleResize();
+        setupColumnChooser: function() {
+            const toggle = this.toolbar.querySelector('.wink-columns-toggle');
+            const menu = this.toolbar.querySelector('.wink-columns-menu');
+            
+            this.applyColumnVisibility();
+            
+            if (!toggle || !menu) return;
+            
+            const close = () => {
+                menu.style.display = 'none';
+                toggle.setAttribute('aria-expanded', 'false');
+            };
+            
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                
+                if (menu.style.display === 'block') {
+                    close();
+                } else {
+                    this.closeToolbarMenus();
+                    
+                    // Rebuild on open so the list follows the current column order
+                    this.renderColumnMenu();
+                    menu.style.display = 'block';
+                    toggle.setAttribute('aria-expanded', 'true');
+                }
+            });
+            
+            // Close dropdown when clicking outside
+            this.addGlobalListener(document, 'click', close);
+            
+            menu.addEventListener('click', (e) => {
+                e.stopPropagation();
+                
+                // Pin buttons cycle: not pinned, pinned left, pinned right
+                const pin = e.target.closest('[data-pin]');
+                if (pin) {
+                    const column = this.columns.find(col => col.key === pin.getAttribute('data-pin'));
+                    const next = { null: 'left', left: 'right', right: null };
+                    this.setColumnFrozen(column.key, next[column.frozen]);
+                    this.renderColumnMenu();
+                    return;
+                }
+                
+                const action = e.target.getAttribute('data-action');
+                if (action === 'show-all') {
+                    this.showAllColumns();
+                } else if (action === 'reset') {
+                    this.resetColumnVisibility();
+                }
+            });
+            
+            menu.addEventListener('change', (e) => {
+                if (e.target.hasAttribute('data-column')) {
+                    this.setColumnVisibility(e.target.getAttribute('data-column'), e.target.checked);
+                }
+            });
         },
 
         /**
-         * Handle window resize
+         * Render the column checkboxes in the visibility menu
          */
-        handleResize: function() {
-            const containerWidth = this.tableContainer.offsetWidth;
-            const tableWidth = this.table.offsetWidth;
+        renderColumnMenu: function() {
+            const menu = this.toolbar.querySelector('.wink-columns-menu');
+            if (!menu) return;
             
-            if (tableWidth > containerWidth) {
-                this.table.classList.add('wink-table-scrollable');
-            } else {
-                this.table.classList.remove('wink-table-scrollable');
-            }
+            const visibleCount = this.getVisibleColumns().length;
+            const pinLabels = { left: 'pinned left', right: 'pinned right' };
+            
+            menu.innerHTML = `
+                ${this.columns.map(column => `
+                    <div class="wink-dropdown-item wink-column-option">
+                        <label class="wink-column-option-label">
+                            <input type="checkbox" data-column="${column.key}"
+                                ${column.visible ? 'checked' : ''}
+                                ${column.visible && visibleCount === 1 ? 'disabled' : ''}>
+                            <span class="wink-column-option-title"></span>
+                        </label>
+                        <button type="button" class="wink-column-pin ${column.frozen ? 'active' : ''}" data-pin="${column.key}">
+                            ${column.frozen === 'right' ? '&#8677;' : '&#8676;'}
+                        </button>
+                    </div>
+                `).join('')}
+                <div class="wink-dropdown-divider"></div>
+                <a href="#" class="wink-dropdown-item" data-action="show-all">Show all</a>
+                <a href="#" class="wink-dropdown-item" data-action="reset">Reset</a>
+            `;
+            
+            menu.querySelectorAll('.wink-column-option-title').forEach((title, index) => {
+                title.textContent = this.columns[index].title;
+            });
+            
+            menu.querySelectorAll('.wink-column-pin').forEach((button, index) => {
+                const column = this.columns[index];
+                const label = `${column.title}: ${pinLabels[column.frozen] || 'not pinned'}`;
+                button.setAttribute('title', label);
+                button.setAttribute('aria-label', label);
+            });
+            
+            menu.querySelectorAll('[data-action]').forEach(link => {
+                link.addEventListener('click', (e) => e.preventDefault());
+            });
         },
 
         /**
-         * Search functionality
+         * Get the columns currently shown
          */
-        search: function(query) {
-            if (!query.trim()) {
-                this.filteredData = [...this.data];
-            } else {
-                const searchLower = query.toLowerCase();
-                this.filteredData = this.data.filter(row => {
-                    return this.columns.some(column => {
-                        const value = row[column.key];
-                        return value && value.toString().toLowerCase().includes(searchLower);
-                    });
-                });
-            }
-            
-            this.currentPage = 1;
-            this.render();
+        getVisibleColumns: function() {
+            return this.columns.filter(column => column.visible);
         },
 
         /**
-         * Sort data by column
+         * Show or hide a column
          */
-        sort: function(columnKey) {
+        setColumnVisibility: function(columnKey, visible) {
             const column = this.columns.find(col => col.key === columnKey);
-            if (!column) return;
+            if (!column || column.visible === visible) return;
             
-            // Toggle sort direction if same column
-            if (this.sortColumn === columnKey) {
-                this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
-            } else {
-                this.sortColumn = columnKey;
-                this.sortDirection = 'asc';
-            }
+            // Always keep at least one column on screen
+            if (!visible && this.getVisibleColumns().length === 1) return;
             
-            // Update UI indicators
-            this.updateSortIndicators();
-            
-            // Sort data
-            this.filteredData.sort((a, b) => {
-                let aVal = a[columnKey];
-                let bVal = b[columnKey];
-                
-                // Handle different data types
-                if (column.type === 'number') {
-                    aVal = parseFloat(aVal) || 0;
-                    bVal = parseFloat(bVal) || 0;
-                } else if (column.type === 'date') {
-                    aVal = new Date(aVal);
-                    bVal = new Date(bVal);
-                } else {
-                    aVal = aVal ? aVal.toString().toLowerCase() : '';
-                    bVal = bVal ? bVal.toString().toLowerCase() : '';
-                }
-                
-                let result = 0;
-                if (aVal < bVal) result = -1;
-                else if (aVal > bVal) result = 1;
-                
-                return this.sortDirection === 'desc' ? -result : result;
-            });
-            
-            this.currentPage = 1;
-            this.render();
-            this.saveState();
+            column.visible = visible;
+            this.onColumnVisibilityChange();
         },
 
         /**
-         * Update sort indicators
+         * Show every column
          */
-        updateSortIndicators: function() {
+        showAllColumns: function() {
             this.columns.forEach(column => {
-                const indicator = column.element.querySelector('.wink-sort-indicator');
-                if (indicator) {
-                    indicator.className = 'wink-sort-indicator';
-                    
-                    if (column.key === this.sortColumn) {
-                        indicator.classList.add(
-                            this.sortDirection === 'asc' ? 'wink-sort-asc' : 'wink-sort-desc'
-                        );
-                    }
-                }
+                column.visible = true;
             });
+            this.onColumnVisibilityChange();
         },
 
         /**
-         * Toggle filters panel
+         * Restore the visibility declared in the markup (data-hidden)
          */
-        toggleFilters: function() {
-            const isVisible = this.filterPanel.style.display !== 'none';
-            this.filterPanel.style.display = isVisible ? 'none' : 'block';
-            
-            const toggle = this.toolbar.querySelector('.wink-filters-toggle');
-            if (toggle) {
-                toggle.classList.toggle('active', !isVisible);
-            }
+        resetColumnVisibility: function() {
+            this.columns.forEach(column => {
+                column.visible = column.defaultVisible;
+            });
+            this.onColumnVisibilityChange();
         },
 
         /**
-         * Apply filters
+         * Apply, persist and announce a visibility change
          */
-        applyFilters: function() {
-            const filterInputs = this.filterPanel.querySelectorAll('.wink-filter-input, .wink-filter-select');
-            this.filters = {};
-            
-            filterInputs.forEach(input => {
-                const column = input.getAttribute('data-column');
-                const type = input.getAttribute('data-type');
-                const value = input.value.trim();
-                
-                if (value) {
-                    if (!this.filters[column]) {
-                        this.filters[column] = {};
-                    }
-                    
-                    if (type) {
-                        this.filters[column][type] = value;
-                    } else {
-                        this.filters[column].value = value;
-                    }
-                }
-            });
+        onColumnVisibilityChange: function() {
+            this.applyColumnVisibility();
+            this.renderColumnMenu();
+            this.saveState();
             
-            this.applyDataFilters();
-            this.currentPage = 1;
-            this.render();
+            this.table.dispatchEvent(new CustomEvent('wink:table:columnVisibilityChanged', {
+                detail: { visible: this.getVisibleColumns().map(column => column.key), table: this }
+            }));
         },
 
         /**
-         * Apply data filters
+         * Show or hide header and body cells to match column visibility
          */
-        applyDataFilters: function() {
-            this.filteredData = this.data.filter(row => {
-                return Object.keys(this.filters).every(columnKey => {
-                    const filter = this.filters[columnKey];
-                    const value = row[columnKey];
-                    const column = this.columns.find(col => col.key === columnKey);
-                    
-                    if (!column) return true;
-                    
-                    switch (column.type) {
-                        case 'date':
-                            const date = new Date(value);
-                            if (filter.from && date < new Date(filter.from)) return false;
-                            if (filter.to && date > new Date(filter.to)) return false;
-                            return true;
-                            
-                        case 'number':
-                            const num = parseFloat(value) || 0;
-                            if (filter.min && num < parseFloat(filter.min)) return false;
-                            if (filter.max && num > parseFloat(filter.max)) return false;
-                            return true;
-                            
-                        default:
-                            if (filter.value) {
-                                const searchValue = filter.value.toLowerCase();
-                                const cellValue = value ? value.toString().toLowerCase() : '';
-                                return cellValue.includes(searchValue);
-                            }
-                            return true;
-                    }
+        applyColumnVisibility: function() {
+            this.columns.forEach(column => {
+                column.element.style.display = column.visible ? '' : 'none';
+            });
+            
+            this.data.forEach(rowData => {
+                const cells = this.getColumnCells(rowData._element);
+                if (cells.length !== this.columns.length) return;
+                
+                this.columns.forEach((column, index) => {
+                    cells[index].style.display = column.visible ? '' : 'none';
                 });
             });
-        },
-
-        /**
-         * Clear all filters
-         */
-        clearFilters: function() {
-            const filterInputs = this.filterPanel.querySelectorAll('.wink-filter-input, .wink-filter-select');
-            filterInputs.forEach(input => {
-                input.value = '';
+            
+            // Placeholder rows span the visible columns
+            this.table.querySelectorAll('.wink-table-empty-row td, .wink-virtual-spacer td, .wink-group-row td, .wink-detail-row td').forEach(cell => {
+                cell.setAttribute('colspan', this.getVisibleColumns().length + 1);
             });
             
-            this.filters = {};
-            this.filteredData = [...this.data];
-            this.currentPage = 1;
-            this.render();
+            this.renderAggregates();
+            this.applyFrozenColumns();
         },
 
         /**
-         * Select all rows
+         * Pin a column to the left or right edge, or unpin it with null
          */
-        selectAll: function(selected) {
-            this.selectedRows.clear();
+        setColumnFrozen: function(columnKey, side) {
+            const column = this.columns.find(col => col.key === columnKey);
+            if (!column) return;
             
-            if (selected) {
-                this.getCurrentPageData().forEach((row, index) => {
-                    this.selectedRows.add(row._index);
-                });
-            }
+            column.frozen = this.parseFrozen(side);
+            this.applyFrozenColumns();
+            this.saveState();
             
-            this.updateRowSelection();
-            this.updateBulkActions();
+            this.table.dispatchEvent(new CustomEvent('wink:table:columnFrozen', {
+                detail: { column: column.key, frozen: column.frozen, table: this }
+            }));
         },
 
         /**
-         * Toggle row selection
+         * Position pinned cells with sticky offsets measured from the current column widths
          */
-        toggleRowSelection: function(rowIndex) {
-            if (this.selectedRows.has(rowIndex)) {
-                this.selectedRows.delete(rowIndex);
-            } else {
-                this.selectedRows.add(rowIndex);
+        applyFrozenColumns: function() {
+            if (!this.tableContainer) return;
+            
+            const hasFrozen = !this.cardLayout && this.columns.some(column => column.frozen && column.visible);
+            this.tableContainer.classList.toggle('wink-table-frozen', hasFrozen);
+            
+            // Nothing was pinned before and nothing is pinned now
+            if (!hasFrozen && !this.frozenApplied) return;
+            
+            // Pinned columns are shown at their edge, otherwise the sticky offsets would not line up,
+            // and return to their place in the user's order once unpinned.
+            // reorderColumns() applies the offsets itself once the order has changed.
+            if (this.reorderColumns(this.getFrozenColumnOrder())) return;
+            this.frozenApplied = hasFrozen;
+            
+            const headerRow = this.table.querySelector('thead tr');
+            const rows = [headerRow].concat(
+                Array.from(this.table.querySelectorAll('tbody tr, tfoot tr')).filter(row => row.style.display !== 'none')
+            ).filter(Boolean);
+            
+            // Only cells whose position changes are written to
+            const place = (cell, position, edge) => {
+                const side = position ? position.side : null;
+                const left = side === 'left' ? position.offset + 'px' : '';
+                const right = side === 'right' ? position.offset + 'px' : '';
+                
+                if (cell.style.position !== (side ? 'sticky' : '')) cell.style.position = side ? 'sticky' : '';
+                if (cell.style.left !== left) cell.style.left = left;
+                if (cell.style.right !== right) cell.style.right = right;
+                
+                cell.classList.toggle('wink-frozen-left', side === 'left');
+                cell.classList.toggle('wink-frozen-right', side === 'right');
+                cell.classList.toggle('wink-frozen-edge', !!side && edge);
+            };
+            
+            if (!hasFrozen) {
+                rows.forEach(row => Array.from(row.children).forEach(cell => place(cell, null, false)));
+                return;
             }
             
-            this.updateRowSelection();
-            this.updateBulkActions();
+            // The selection column travels with columns pinned to the left
+            const selectHeader = headerRow && headerRow.querySelector('.wink-select-column');
+            const leftColumns = this.columns.filter(column => column.visible && column.frozen === 'left');
+            const rightColumns = this.columns.filter(column => column.visible && column.frozen === 'right');
+            const offsets = new Map();
+            
+            let left = 0;
+            if (selectHeader && leftColumns.length) {
+                offsets.set('select', { side: 'left', offset: 0 });
+                left = selectHeader.offsetWidth;
+            }
+            leftColumns.forEach(column => {
+                offsets.set(column, { side: 'left', offset: left });
+                left += column.element.offsetWidth;
+            });
+            
+            let right = 0;
+            rightColumns.slice().reverse().forEach(column => {
+                offsets.set(column, { side: 'right', offset: right });
+                right += column.element.offsetWidth;
+            });
+            
+            const edges = [leftColumns[leftColumns.length - 1], rightColumns[0]];
+            
+            rows.forEach(row => {
+                const selectCell = row.querySelector(':scope > .wink-select-column');
+                const cells = this.getColumnCells(row);
+                
+                // Group, empty and spacer rows span every column and are left alone
+                const aligned = cells.length === this.columns.length;
+                
+                Array.from(row.children).forEach(cell => {
+                    if (cell === selectCell) {
+                        place(cell, offsets.get('select'), false);
+                        return;
+                    }
+                    
+                    const column = aligned ? this.columns[cells.indexOf(cell)] : null;
+                    place(cell, column ? offsets.get(column) : null, !!column && edges.includes(column));
+                });
+            });
         },
 
         /**
-         * Update row selection UI
+         * On-screen column order: the user's order with left-pinned columns first and right-pinned columns last
          */
-        updateRowSelection: function() {
-            const checkboxes = this.table.querySelectorAll('.wink-select-row');
-            checkboxes.forEach(checkbox => {
-                const index = parseInt(checkbox.getAttribute('data-index'));
-                checkbox.checked = this.selectedRows.has(index);
-            });
+        getFrozenColumnOrder: function() {
+            const order = this.getColumnOrder();
+            const side = (key) => {
+                const column = this.columns.find(col => col.key === key);
+                return column.frozen === 'left' ? 0 : (column.frozen === 'right' ? 2 : 1);
+            };
             
-            // Update master checkbox
-            const masterCheckbox = this.table.querySelector('.wink-select-all');
-            if (masterCheckbox) {
-                const currentPageData = this.getCurrentPageData();
-                const allSelected = currentPageData.length > 0 && 
-                    currentPageData.every(row => this.selectedRows.has(row._index));
-                masterCheckbox.checked = allSelected;
-            }
+            return order
+                .map((key, index) => ({ key: key, rank: side(key) * order.length + index }))
+                .sort((a, b) => a.rank - b.rank)
+                .map(entry => entry.key);
         },
 
         /**
-         * Update bulk actions visibility
+         * Get the user's column order, which pinning does not change
          */
-        updateBulkActions: function() {
-            const bulkActions = this.toolbar.querySelector('.wink-bulk-actions');
-            if (bulkActions) {
-                bulkActions.style.display = this.selectedRows.size > 0 ? 'block' : 'none';
-            }
+        getColumnOrder: function() {
+            const keys = this.columns.map(column => column.key);
+            const order = this.columnOrder.filter(key => keys.includes(key));
+            
+            return order.concat(keys.filter(key => !order.includes(key)));
         },
 
         /**
-         * Execute bulk action
+         * Set the user's column order and show it, with pinned columns at their edge.
+         * Keys missing from the given order keep their relative position at the end.
+         * Returns whether the on-screen order changed.
          */
-        executeBulkAction: function(action) {
-            const selectedData = this.data.filter(row => this.selectedRows.has(row._index));
+        setColumnOrder: function(order) {
+            const current = this.getColumnOrder();
+            const known = order.filter(key => current.includes(key));
             
-            switch (action) {
-                case 'delete':
-                    this.bulkDelete(selectedData);
-                    break;
-                case 'export':
-                    this.exportData('csv', selectedData);
-                    break;
-                default:
-                    // Emit custom event for external handling
-                    const event = new CustomEvent('wink:table:bulkAction', {
-                        detail: { action, data: selectedData, table: this }
-                    });
-                    this.table.dispatchEvent(event);
-            }
+            this.columnOrder = known.concat(current.filter(key => !known.includes(key)));
+            return this.reorderColumns(this.getFrozenColumnOrder());
         },
 
         /**
-         * Bulk delete with confirmation
+         * Setup the group-by menu and group row toggles
          */
-        bulkDelete: function(selectedData) {
-            const message = `Are you sure you want to delete ${selectedData.length} item(s)?`;
+        setupGrouping: function() {
+            const container = this.toolbar.querySelector('.wink-table-grouping');
+            const toggle = this.toolbar.querySelector('.wink-group-toggle-menu');
+            const menu = this.toolbar.querySelector('.wink-grouping-menu');
+            
+            // Config aggregates override data-group-aggregates
+            Object.keys(this.config.groupAggregates).forEach(key => {
+                const column = this.columns.find(col => col.key === key);
+                if (column) {
+                    column.groupAggregates = [].concat(this.config.groupAggregates[key]);
+                }
+            });
             
-            if (confirm(message)) {
-                // Remove from data array
-                selectedData.forEach(row => {
-                    const index = this.data.indexOf(row);
-                    if (index > -1) {
-                        this.data.splice(index, 1);
-                        row._element.remove();
+            const tbody = this.table.querySelector('tbody');
+            if (tbody) {
+                tbody.addEventListener('click', (e) => {
+                    const groupRow = e.target.closest('.wink-group-row');
+                    if (groupRow && !e.target.closest('a, input, select')) {
+                        this.toggleGroup(groupRow.getAttribute('data-group-id'));
                     }
                 });
+            }
+            
+            if (!container || !this.columns.some(column => column.groupable)) return;
+            
+            container.style.display = '';
+            
+            const close = () => {
+                menu.style.display = 'none';
+                toggle.setAttribute('aria-expanded', 'false');
+            };
+            
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
                 
-                this.selectedRows.clear();
-                this.filteredData = [...this.data];
-                this.render();
+                if (menu.style.display === 'block') {
+                    close();
+                } else {
+                    this.closeToolbarMenus();
+                    this.renderGroupingMenu();
+                    menu.style.display = 'block';
+                    toggle.setAttribute('aria-expanded', 'true');
+                }
+            });
+            
+            this.addGlobalListener(document, 'click', close);
+            
+            menu.addEventListener('click', (e) => {
+                e.stopPropagation();
                 
-                WinkViews.Utils.showNotification(`${selectedData.length} item(s) deleted`, 'success');
-            }
+                const action = e.target.getAttribute('data-action');
+                if (action === 'expand-all') {
+                    this.expandAllGroups();
+                } else if (action === 'collapse-all') {
+                    this.collapseAllGroups();
+                } else if (action === 'clear') {
+                    this.setGroupBy([]);
+                    this.renderGroupingMenu();
+                }
+            });
+            
+            // Checking columns in turn builds nested group levels
+            menu.addEventListener('change', (e) => {
+                const key = e.target.getAttribute('data-column');
+                if (!key) return;
+                
+                const keys = this.groupBy.filter(groupKey => groupKey !== key);
+                if (e.target.checked) {
+                    keys.push(key);
+                }
+                
+                this.setGroupBy(keys);
+                this.renderGroupingMenu();
+            });
         },
 
         /**
-         * Export data
+         * Render the group-by menu
          */
-        exportData: function(format, customData = null) {
-            const dataToExport = customData || this.filteredData;
-            const filename = `table-export-${new Date().toISOString().split('T')[0]}.${format}`;
+        renderGroupingMenu: function() {
+            const menu = this.toolbar.querySelector('.wink-grouping-menu');
+            if (!menu) return;
             
-            // Prepare data for export (remove internal properties)
-            const exportData = dataToExport.map(row => {
-                const cleanRow = {};
-                this.columns.forEach(column => {
-                    if (column.visible) {
-                        cleanRow[column.title] = row[column.key];
-                    }
-                });
-                return cleanRow;
+            const groupable = this.columns.filter(column => column.groupable);
+            
+            menu.innerHTML = `
+                ${groupable.map(column => {
+                    const level = this.groupBy.indexOf(column.key);
+                    return `
+                        <label class="wink-dropdown-item wink-column-option">
+                            <input type="checkbox" data-column="${column.key}" ${level !== -1 ? 'checked' : ''}>
+                            <span class="wink-column-option-title"></span>
+                            ${level !== -1 && this.groupBy.length > 1 ? `<span class="wink-group-level">${level + 1}</span>` : ''}
+                        </label>
+                    `;
+                }).join('')}
+                <div class="wink-dropdown-divider"></div>
+                <a href="#" class="wink-dropdown-item" data-action="expand-all">Expand all</a>
+                <a href="#" class="wink-dropdown-item" data-action="collapse-all">Collapse all</a>
+                <a href="#" class="wink-dropdown-item" data-action="clear">Remove grouping</a>
+            `;
+            
+            menu.querySelectorAll('.wink-column-option-title').forEach((title, index) => {
+                title.textContent = groupable[index].title;
             });
             
-            if (TableManager.exportWorker) {
-                // Use web worker for large datasets
-                TableManager.exportWorker.postMessage({
-                    data: exportData,
-                    format: format,
-                    filename: filename
-                });
-                
-                TableManager.exportWorker.onmessage = function(e) {
-                    const { result, filename } = e.data;
-                    downloadFile(result, filename, format);
-                };
-            } else {
-                // Fallback to main thread
-                let content;
-                switch (format) {
-                    case 'csv':
-                        content = this.generateCSV(exportData);
-                        break;
-                    case 'excel':
-                        content = this.generateCSV(exportData); // Simplified for now
-                        break;
-                    case 'pdf':
-                        this.generatePDF(exportData, filename);
-                        return;
-                }
-                
-                this.downloadFile(content, filename, format);
-            }
+            menu.querySelectorAll('[data-action]').forEach(link => {
+                link.addEventListener('click', (e) => e.preventDefault());
+            });
         },
 
         /**
-         * Generate CSV content
+         * Group rows by one or more column keys (outermost first)
          */
-        generateCSV: function(data) {
-            if (!data.length) return '';
-            
-            const headers = Object.keys(data[0]);
-            const csvContent = [
-                headers.join(','),
-                ...data.map(row => 
-                    headers.map(header => {
-                        const value = row[header] || '';
-                        return typeof value === 'string' && value.includes(',') 
-                            ? '"' + value.replace(/"/g, '""') + '"'
-                            : value;
-                    }).join(',')
-                )
-            ].join('\n');
+        setGroupBy: function(keys) {
+            this.groupBy = [].concat(keys || []).filter(key => this.columns.some(col => col.key === key));
+            this.currentPage = 1;
+            this.render();
+            this.saveState();
             
-            return csvContent;
+            this.table.dispatchEvent(new CustomEvent('wink:table:grouped', {
+                detail: { groupBy: this.groupBy, table: this }
+            }));
         },
 
         /**
-         * Generate PDF (requires external library)
+         * Remove grouping
          */
-        generatePDF: function(data, filename) {
-            // This would require a PDF library like jsPDF
-            console.warn('PDF export requires jsPDF library');
-            WinkViews.Utils.showNotification('PDF export not available', 'warning');
+        clearGrouping: function() {
+            this.setGroupBy([]);
         },
 
         /**
-         * Download file
+         * Expand or collapse a group
          */
-        downloadFile: function(content, filename, format) {
-            const mimeTypes = {
-                'csv': 'text/csv',
-                'excel': 'application/vnd.ms-excel',
-                'pdf': 'application/pdf'
-            };
+        toggleGroup: function(groupId, expanded) {
+            const collapse = expanded === undefined ? !this.collapsedGroups.has(groupId) : !expanded;
             
-            const blob = new Blob([content], { type: mimeTypes[format] || 'text/plain' });
-            const url = URL.createObjectURL(blob);
+            if (collapse) {
+                this.collapsedGroups.add(groupId);
+            } else {
+                this.collapsedGroups.delete(groupId);
+            }
             
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            this.render();
+            this.saveState();
             
-            URL.revokeObjectURL(url);
-            WinkViews.Utils.showNotification('Export completed', 'success');
+            // Keep keyboard focus on the toggled group
+            const groupRow = Array.from(this.table.querySelectorAll('.wink-group-row'))
+                .find(row => row.getAttribute('data-group-id') === groupId);
+            if (groupRow) {
+                groupRow.querySelector('.wink-group-toggle').focus();
+            }
         },
 
         /**
-         * Get current page data
+         * Expand every group
          */
-        getCurrentPageData: function() {
-            const start = (this.currentPage - 1) * this.config.pageSize;
-            const end = start + this.config.pageSize;
-            return this.filteredData.slice(start, end);
+        expandAllGroups: function() {
+            this.collapsedGroups.clear();
+            this.render();
+            this.saveState();
         },
 
         /**
-         * Render table content
+         * Collapse every group
          */
-        render: function() {
-            this.renderTable();
-            this.renderPagination();
-            this.updateRowSelection();
+        collapseAllGroups: function() {
+            const collect = (groups) => groups.forEach(group => {
+                this.collapsedGroups.add(group.id);
+                if (group.children) collect(group.children);
+            });
+            
+            collect(this.buildGroups(this.filteredData, this.groupBy));
+            this.currentPage = 1;
+            this.render();
+            this.saveState();
         },
 
         /**
-         * Render table body
+         * Build nested groups from rows, keeping the current sort order inside each group
          */
-        renderTable: function() {
-            const tbody = this.table.querySelector('tbody');
-            if (!tbody) return;
+        buildGroups: function(rows, keys, level = 0, parentId = '') {
+            const column = this.columns.find(col => col.key === keys[level]);
+            if (!column) return [];
             
-            const currentData = this.getCurrentPageData();
-            const rows = tbody.querySelectorAll('tr');
+            const groups = new Map();
+            rows.forEach(row => {
+                const value = row[column.key];
+                const token = value instanceof Date ? String(value.getTime()) : String(value === null || value === undefined ? '' : value);
+                
+                if (!groups.has(token)) {
+                    groups.set(token, {
+                        id: `${parentId}${column.key}=${token}`,
+                        column: column,
+                        value: value,
+                        level: level,
+                        rows: []
+                    });
+                }
+                groups.get(token).rows.push(row);
+            });
             
-            // Hide all rows first
-            rows.forEach(row => row.style.display = 'none');
+            // Order groups by value, following the sort direction for that column when sorted
+            const sortEntry = this.sortStack.find(entry => entry.key === column.key);
+            const direction = sortEntry ? sortEntry.direction : 'asc';
+            const result = Array.from(groups.values()).sort((a, b) => this.compareValues(column, a.value, b.value, direction));
             
-            // Show current page rows
-            currentData.forEach(rowData => {
-                const row = rowData._element;
-                if (row) {
+            if (level < keys.length - 1) {
+                result.forEach(group => {
+                    group.children = this.buildGroups(group.rows, keys, level + 1, group.id + '|');
+                });
+            }
+            
+            return result;
+        },
+
+        /**
+         * Flatten groups into group header items and the rows of expanded groups
+         */
+        getGroupedItems: function() {
+            const items = [];
+            const flatten = (groups) => groups.forEach(group => {
+                items.push({ _group: group });
+                
+                if (this.collapsedGroups.has(group.id)) return;
+                
+                if (group.children) {
+                    flatten(group.children);
+                } else {
+                    items.push(...group.rows);
+                }
+            });
+            
+            flatten(this.buildGroups(this.filteredData, this.groupBy));
+            return items;
+        },
+
+        /**
+         * Check whether rows are grouped
+         */
+        isGrouped: function() {
+            return this.groupBy.length > 0;
+        },
+
+        /**
+         * Get rows and group header items for the current page
+         */
+        getPageItems: function() {
+            if (!this.isGrouped()) {
+                return this.getCurrentPageData();
+            }
+            
+            const items = this.getGroupedItems();
+            if (this.isRemote) return items;
+            
+            const start = (this.currentPage - 1) * this.config.pageSize;
+            return items.slice(start, start + this.config.pageSize);
+        },
+
+        /**
+         * Calculate an aggregate (sum, avg, min, max, count) over values
+         */
+        calculateAggregate: function(type, values) {
+            if (type === 'count') {
+                return values.filter(value => value !== null && value !== undefined && value !== '').length;
+            }
+            
+            // Dates aggregate by timestamp
+            const numbers = values
+                .map(value => value instanceof Date ? value.getTime() : (typeof value === 'number' ? value : parseFloat(value)))
+                .filter(number => !isNaN(number));
+            
+            if (!numbers.length) return null;
+            
+            switch (type) {
+                case 'sum':
+                    return numbers.reduce((sum, number) => sum + number, 0);
+                case 'avg':
+                    return numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+                case 'min':
+                    return numbers.reduce((min, number) => Math.min(min, number));
+                case 'max':
+                    return numbers.reduce((max, number) => Math.max(max, number));
+                default:
+                    return null;
+            }
+        },
+
+        /**
+         * Format an aggregate value for display
+         */
+        formatAggregate: function(type, value, column) {
+            if (value === null) return '-';
+            if (type === 'count') return value.toLocaleString();
+            
+            const base = column ? TableManager.getColumnType(column.type).base : null;
+            
+            if (base === 'date' && type !== 'sum') {
+                return this.formatCellValue(column, new Date(value));
+            }
+            
+            // Currency, percent and other number types show totals the way they show cells
+            if (base === 'number' && column.type !== 'number') {
+                return this.formatCellValue(column, value);
+            }
+            
+            return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        },
+
+        /**
+         * Create the header row for a group
+         */
+        createGroupRow: function(group) {
+            const collapsed = this.collapsedGroups.has(group.id);
+            const value = group.value;
+            const label = this.isEmptyValue(value)
+                ? '(empty)'
+                : this.getDisplayValue(group.column, value);
+            
+            const aggregates = [];
+            this.columns.forEach(column => {
+                column.groupAggregates.forEach(type => {
+                    const result = this.calculateAggregate(type, group.rows.map(row => row[column.key]));
+                    const typeLabel = TableManager.aggregateLabels[type] || type;
+                    aggregates.push(`${typeLabel} of ${column.title}: ${this.formatAggregate(type, result, column)}`);
+                });
+            });
+            
+            const row = document.createElement('tr');
+            row.className = 'wink-group-row';
+            row.setAttribute('data-group-id', group.id);
+            row.setAttribute('data-level', group.level);
+            row.innerHTML = `
+                <td colspan="${this.getVisibleColumns().length + 1}" style="padding-left: ${0.75 + group.level * 1.5}rem;">
+                    <button type="button" class="wink-group-toggle" aria-expanded="${collapsed ? 'false' : 'true'}">
+                        <span class="wink-group-caret" aria-hidden="true">${collapsed ? '&#9656;' : '&#9662;'}</span>
+                        <span class="wink-group-title"></span>
+                    </button>
+                    <span class="wink-group-count"></span>
+                    <span class="wink-group-aggregates"></span>
+                </td>
+            `;
+            
+            row.querySelector('.wink-group-title').textContent = `${group.column.title}: ${label}`;
+            row.querySelector('.wink-group-count').textContent = `(${group.rows.length})`;
+            row.querySelector('.wink-group-aggregates').textContent = aggregates.join(' \u00b7 ');
+            
+            return row;
+        },
+
+        /**
+         * Get the rows footer aggregates are calculated over
+         */
+        getAggregateRows: function() {
+            return this.aggregateScope === 'page' ? this.getCurrentPageData() : this.filteredData;
+        },
+
+        /**
+         * Switch footer aggregates between the current page and the whole filtered set
+         */
+        setAggregateScope: function(scope) {
+            this.aggregateScope = scope === 'page' ? 'page' : 'filtered';
+            this.renderAggregates();
+            this.saveState();
+        },
+
+        /**
+         * Render the footer aggregate row for columns with data-aggregate
+         */
+        renderAggregates: function() {
+            const aggregated = this.columns.filter(column => column.aggregate);
+            if (!aggregated.length) return;
+            
+            let tfoot = this.table.querySelector('tfoot');
+            if (!tfoot) {
+                tfoot = document.createElement('tfoot');
+                this.table.appendChild(tfoot);
+            }
+            
+            let row = tfoot.querySelector('.wink-aggregate-row');
+            if (!row) {
+                row = document.createElement('tr');
+                row.className = 'wink-aggregate-row';
+                tfoot.appendChild(row);
+                
+                row.addEventListener('click', (e) => {
+                    if (e.target.closest('.wink-aggregate-scope')) {
+                        this.setAggregateScope(this.aggregateScope === 'page' ? 'filtered' : 'page');
+                    }
+                });
+            }
+            
+            const rows = this.getAggregateRows();
+            const visible = this.getVisibleColumns();
+            const labelColumn = visible.find(column => !column.aggregate);
+            
+            // Remote tables only hold the current page, so totals over all matching rows must come from the server
+            const remoteTotals = this.isRemote ? this.remoteAggregates : null;
+            const pageScope = this.isRemote ? !remoteTotals : this.aggregateScope === 'page';
+            
+            const scopeButton = this.isRemote ? `
+                <span class="wink-aggregate-scope-label">${pageScope ? 'Page total' : 'Total'}</span>
+            ` : `
+                <button type="button" class="wink-aggregate-scope" title="${pageScope ? 'Show totals for all matching rows' : 'Show totals for this page'}">
+                    ${pageScope ? 'Page total' : 'Total'}
+                </button>
+            `;
+            
+            row.innerHTML = `<td class="wink-select-column">${labelColumn ? '' : scopeButton}</td>` + visible.map(column => {
+                if (!column.aggregate) {
+                    return `<td>${column === labelColumn ? scopeButton : ''}</td>`;
+                }
+                
+                const value = remoteTotals
+                    ? this.getRemoteAggregate(column)
+                    : this.calculateAggregate(column.aggregate, rows.map(rowData => rowData[column.key]));
+                
+                return `
+                    <td class="wink-aggregate-cell" data-column="${column.key}" data-label="${TableManager.aggregateLabels[column.aggregate] || column.aggregate}">
+                        <span class="wink-aggregate-label">${TableManager.aggregateLabels[column.aggregate] || column.aggregate}</span>
+                        <span class="wink-aggregate-value">${this.formatAggregate(column.aggregate, value, column)}</span>
+                    </td>
+                `;
+            }).join('');
+        },
+
+        /**
+         * Read a column's server-side aggregate, either a plain value or an object keyed by aggregate type
+         */
+        getRemoteAggregate: function(column) {
+            let value = this.remoteAggregates[column.key];
+            if (value && typeof value === 'object') {
+                value = value[column.aggregate];
+            }
+            
+            if (value === null || value === undefined || value === '') return null;
+            if (column.aggregate === 'count') return parseInt(value) || 0;
+            
+            // Values are read like cell values so dates become timestamps
+            const parsed = typeof value === 'number' ? value : this.parseCellValue(column, value);
+            const number = parsed instanceof Date ? parsed.getTime() : Number(parsed);
+            
+            return isNaN(number) ? null : number;
+        },
+
+        /**
+         * Build the aggregate row appended to exports, keyed by column title
+         */
+        getExportAggregateRow: function(rows, columns) {
+            if (!columns.some(column => column.aggregate)) return null;
+            
+            const exportRow = {};
+            const labelColumn = columns.find(column => !column.aggregate);
+            
+            columns.forEach(column => {
+                if (!column.aggregate) {
+                    exportRow[column.title] = column === labelColumn ? 'Total' : '';
+                    return;
+                }
+                
+                const value = this.calculateAggregate(column.aggregate, rows.map(row => row[column.key]));
+                
+                // Numeric results stay numeric for typed formats, everything else is exported as text
+                const base = TableManager.getColumnType(column.type).base;
+                
+                if (value === null) {
+                    exportRow[column.title] = '';
+                } else if (base === 'number' && column.aggregate !== 'count') {
+                    exportRow[column.title] = value;
+                } else if (base === 'date' && (column.aggregate === 'min' || column.aggregate === 'max')) {
+                    exportRow[column.title] = new Date(value);
+                } else {
+                    exportRow[column.title] = `${TableManager.aggregateLabels[column.aggregate]}: ${this.formatAggregate(column.aggregate, value, column)}`;
+                }
+            });
+            
+            return exportRow;
+        },
+
+        /**
+         * Setup column resizing
+         */
+        setupColumnResize: function() {
+            this.columns.forEach((column, index) => {
+                if (column.resizable) {
+                    const resizer = document.createElement('div');
+                    resizer.className = 'wink-column-resizer';
+                    column.element.appendChild(resizer);
+                    
+                    let isResizing = false;
+                    let startX = 0;
+                    let startWidth = 0;
+                    
+                    resizer.addEventListener('mousedown', (e) => {
+                        isResizing = true;
+                        startX = e.clientX;
+                        startWidth = column.element.offsetWidth;
+                        
+                        document.addEventListener('mousemove', handleResize);
+                        document.addEventListener('mouseup', stopResize);
+                        e.preventDefault();
+                    });
+                    
+                    const handleResize = (e) => {
+                        if (!isResizing) return;
+                        
+                        const deltaX = e.clientX - startX;
+                        const newWidth = startWidth + deltaX;
+                        
+                        if (newWidth > 50) { // Minimum width
+                            column.element.style.width = newWidth + 'px';
+                            column.width = newWidth + 'px';
+                        }
+                    };
+                    
+                    const stopResize = () => {
+                        isResizing = false;
+                        document.removeEventListener('mousemove', handleResize);
+                        document.removeEventListener('mouseup', stopResize);
+                        this.applyFrozenColumns();
+                        this.saveState();
+                    };
+                }
+            });
+        },
+
+        /**
+         * Setup drag-and-drop and keyboard column reordering
+         */
+        setupColumnReorder: function() {
+            let dragged = null;
+            
+            const clearDropMarkers = () => {
+                this.columns.forEach(column => {
+                    column.element.classList.remove('wink-column-drop-before', 'wink-column-drop-after');
+                });
+            };
+            
+            const dropsBefore = (e, header) => {
+                const rect = header.getBoundingClientRect();
+                return e.clientX < rect.left + rect.width / 2;
+            };
+            
+            this.columns.forEach(column => {
+                if (!column.reorderable) return;
+                
+                const header = column.element;
+                header.setAttribute('draggable', 'true');
+                header.setAttribute('tabindex', '0');
+                header.setAttribute('aria-keyshortcuts', 'Alt+ArrowLeft Alt+ArrowRight');
+                header.classList.add('wink-reorderable');
+                
+                header.addEventListener('dragstart', (e) => {
+                    dragged = column;
+                    header.classList.add('wink-column-dragging');
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', column.key);
+                });
+                
+                header.addEventListener('dragover', (e) => {
+                    if (!dragged || dragged === column) return;
+                    
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                    
+                    const before = dropsBefore(e, header);
+                    header.classList.toggle('wink-column-drop-before', before);
+                    header.classList.toggle('wink-column-drop-after', !before);
+                });
+                
+                header.addEventListener('dragleave', () => {
+                    header.classList.remove('wink-column-drop-before', 'wink-column-drop-after');
+                });
+                
+                header.addEventListener('drop', (e) => {
+                    if (!dragged || dragged === column) return;
+                    
+                    e.preventDefault();
+                    
+                    const from = this.columns.indexOf(dragged);
+                    let to = this.columns.indexOf(column) + (dropsBefore(e, header) ? 0 : 1);
+                    if (from < to) to--;
+                    
+                    this.moveColumn(dragged.key, to);
+                });
+                
+                header.addEventListener('dragend', () => {
+                    header.classList.remove('wink-column-dragging');
+                    clearDropMarkers();
+                    dragged = null;
+                });
+                
+                header.addEventListener('keydown', (e) => {
+                    if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+                    
+                    e.preventDefault();
+                    const position = this.columns.indexOf(column) + (e.key === 'ArrowLeft' ? -1 : 1);
+                    
+                    if (this.moveColumn(column.key, position)) {
+                        header.focus();
+                    }
+                });
+            });
+        },
+
+        /**
+         * Move a column to a new on-screen position. Pinned columns keep to their edge,
+         * so a move across them does nothing and returns false.
+         */
+        moveColumn: function(columnKey, position) {
+            const display = this.columns.map(col => col.key);
+            const from = display.indexOf(columnKey);
+            
+            if (from === -1 || position < 0 || position >= display.length || position === from) {
+                return false;
+            }
+            
+            const column = this.columns[from];
+            display.splice(from, 1);
+            display.splice(position, 0, columnKey);
+            
+            // Place the column next to its new neighbour on the same side in the user's order
+            const sameSide = display.filter(key => this.columns.find(col => col.key === key).frozen === column.frozen);
+            const index = sameSide.indexOf(columnKey);
+            const order = this.getColumnOrder().filter(key => key !== columnKey);
+            
+            if (index < sameSide.length - 1) {
+                order.splice(order.indexOf(sameSide[index + 1]), 0, columnKey);
+            } else if (index > 0) {
+                order.splice(order.indexOf(sameSide[index - 1]) + 1, 0, columnKey);
+            } else {
+                return false;
+            }
+            
+            if (!this.setColumnOrder(order)) return false;
+            this.saveState();
+            
+            const moved = this.columns.indexOf(column);
+            WinkViews.A11y.announceChange(`${column.title} moved to column ${moved + 1} of ${this.columns.length}`);
+            
+            this.table.dispatchEvent(new CustomEvent('wink:table:columnsReordered', {
+                detail: { order: this.getColumnOrder(), table: this }
+            }));
+            
+            return true;
+        },
+
+        /**
+         * Reorder columns and the matching cells in every row.
+         * Keys missing from the given order keep their relative position at the end.
+         */
+        reorderColumns: function(order) {
+            const previous = [...this.columns];
+            const position = (column) => {
+                const index = order.indexOf(column.key);
+                return index === -1 ? order.length + previous.indexOf(column) : index;
+            };
+            
+            this.columns.sort((a, b) => position(a) - position(b));
+            
+            if (this.columns.every((column, index) => column === previous[index])) {
+                return false;
+            }
+            
+            const rows = [previous[0].element.parentNode].concat(this.data.map(row => row._element));
+            
+            rows.forEach(row => {
+                const cells = this.getColumnCells(row);
+                if (cells.length !== previous.length) return;
+                
+                this.columns.forEach(column => {
+                    row.appendChild(cells[previous.indexOf(column)]);
+                });
+            });
+            
+            this.renderAggregates();
+            this.applyFrozenColumns();
+            
+            return true;
+        },
+
+        /**
+         * Get the cells of a row that belong to data columns, in DOM order
+         */
+        getColumnCells: function(row) {
+            return Array.from(row.children).filter(cell => !cell.classList.contains('wink-select-column'));
+        },
+
+        /**
+         * Setup inline cell editing on data-editable columns
+         */
+        setupInlineEditing: function() {
+            const tbody = this.table.querySelector('tbody');
+            if (!tbody || !this.columns.some(column => column.editable)) return;
+            
+            const editTarget = (e) => {
+                const cell = e.target.closest('td');
+                if (!cell || !cell.classList.contains('wink-editable-cell') || cell.classList.contains('wink-cell-editing')) {
+                    return null;
+                }
+                return cell;
+            };
+            
+            tbody.addEventListener('dblclick', (e) => {
+                const cell = editTarget(e);
+                if (cell) {
+                    e.preventDefault();
+                    this.startEdit(cell);
+                }
+            });
+            
+            tbody.addEventListener('keydown', (e) => {
+                if ((e.key === 'Enter' || e.key === 'F2') && e.target.classList.contains('wink-editable-cell')) {
+                    const cell = editTarget(e);
+                    if (cell) {
+                        e.preventDefault();
+                        this.startEdit(cell);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Setup WAI-ARIA grid keyboard navigation with a roving cell focus
+         */
+        setupKeyboardNavigation: function() {
+            if (!this.config.keyboardNavigation) return;
+            
+            this.table.setAttribute('role', 'grid');
+            this.table.setAttribute('aria-multiselectable', 'true');
+            this.gridCell = null;
+            
+            this.table.addEventListener('focusin', (e) => {
+                const cell = e.target.closest('td, th');
+                if (cell && this.getGridRows().includes(cell.parentNode)) {
+                    this.setGridCell(cell);
+                }
+            });
+            
+            this.table.addEventListener('keydown', (e) => {
+                // Editors and Alt+Arrow column moves handle their own keys
+                if (this.editing || e.altKey || e.defaultPrevented) return;
+                
+                const cell = e.target.closest('td, th');
+                if (!cell || (e.target !== cell && e.target.matches('input:not([type="checkbox"]), select, textarea'))) return;
+                
+                const rows = this.getGridRows();
+                let rowPosition = rows.indexOf(cell.parentNode);
+                if (rowPosition === -1) return;
+                
+                let cellPosition = this.getGridCells(cell.parentNode).indexOf(cell);
+                const ctrl = e.ctrlKey || e.metaKey;
+                
+                switch (e.key) {
+                    case 'ArrowRight':
+                        cellPosition++;
+                        break;
+                    case 'ArrowLeft':
+                        cellPosition--;
+                        break;
+                    case 'ArrowDown':
+                        rowPosition = this.revealGridRow(cell.parentNode, 1);
+                        break;
+                    case 'ArrowUp':
+                        rowPosition = this.revealGridRow(cell.parentNode, -1);
+                        break;
+                    case 'Home':
+                        rowPosition = ctrl ? 0 : rowPosition;
+                        cellPosition = 0;
+                        break;
+                    case 'End':
+                        rowPosition = ctrl ? rows.length - 1 : rowPosition;
+                        cellPosition = Infinity;
+                        break;
+                    case 'PageDown':
+                    case 'PageUp':
+                        e.preventDefault();
+                        this.pageGrid(cell, e.key === 'PageDown' ? 1 : -1);
+                        return;
+                    case ' ':
+                    case 'Spacebar':
+                        e.preventDefault();
+                        this.toggleGridRow(cell, e.shiftKey);
+                        return;
+                    case 'Enter':
+                        e.preventDefault();
+                        this.activateGridCell(cell, e.shiftKey);
+                        return;
+                    case 'a':
+                    case 'A':
+                        if (!ctrl) return;
+                        e.preventDefault();
+                        this.selectAllMatching();
+                        return;
+                    default:
+                        return;
+                }
+                
+                e.preventDefault();
+                
+                const targetRows = this.getGridRows();
+                const row = targetRows[Math.max(0, Math.min(rowPosition, targetRows.length - 1))];
+                this.focusGridCell(row, cellPosition);
+            });
+        },
+
+        /**
+         * Get the navigable rows: the header row and every rendered body row
+         */
+        getGridRows: function() {
+            const headerRow = this.table.querySelector('thead tr');
+            const bodyRows = Array.from(this.table.querySelectorAll('tbody tr'))
+                .filter(row => row.style.display !== 'none' && !row.classList.contains('wink-virtual-spacer'));
+            
+            return (headerRow ? [headerRow] : []).concat(bodyRows);
+        },
+
+        /**
+         * Get the visible cells of a grid row
+         */
+        getGridCells: function(row) {
+            return Array.from(row.children).filter(cell => cell.style.display !== 'none');
+        },
+
+        /**
+         * Find the grid position of the row after (or before) a row, scrolling virtual rows into the window
+         */
+        revealGridRow: function(row, offset) {
+            const rows = this.getGridRows();
+            const position = rows.indexOf(row) + offset;
+            
+            if (this.virtualActive && (position >= rows.length || (position === 0 && offset < 0 && this.virtualRange.start > 0))) {
+                this.tableContainer.scrollTop += offset * (this.virtualRowHeight || this.config.virtualRowHeight);
+                this.updateVirtualWindow();
+                
+                return this.getGridRows().indexOf(row) + offset;
+            }
+            
+            return position;
+        },
+
+        /**
+         * Move focus to a cell, keeping a single tab stop in the grid
+         */
+        focusGridCell: function(row, position) {
+            const cells = this.getGridCells(row);
+            if (!cells.length) return;
+            
+            const cell = cells[Math.max(0, Math.min(position, cells.length - 1))];
+            this.setGridCell(cell);
+            cell.focus();
+        },
+
+        /**
+         * Make a cell the grid's tab stop
+         */
+        setGridCell: function(cell) {
+            if (this.gridCell && this.gridCell !== cell) {
+                this.gridCell.setAttribute('tabindex', '-1');
+            }
+            
+            cell.setAttribute('tabindex', '0');
+            this.gridCell = cell;
+        },
+
+        /**
+         * Take cells and their controls out of the tab order, leaving one roving tab stop
+         */
+        updateGridTabStops: function() {
+            if (!this.config.keyboardNavigation) return;
+            
+            const rows = this.getGridRows();
+            
+            rows.forEach(row => {
+                row.querySelectorAll('td, th').forEach(cell => {
+                    cell.setAttribute('tabindex', cell === this.gridCell ? '0' : '-1');
+                    cell.querySelectorAll('a[href], button, input, select').forEach(control => {
+                        control.setAttribute('tabindex', '-1');
+                    });
+                });
+            });
+            
+            // Fall back to the first cell once the previous tab stop has left the page
+            if (!this.gridCell || !rows.includes(this.gridCell.parentNode)) {
+                const first = rows[1] || rows[0];
+                const cells = first ? this.getGridCells(first) : [];
+                
+                if (cells.length) {
+                    this.setGridCell(cells[0]);
+                }
+            }
+        },
+
+        /**
+         * Jump a page of rows, changing pages when the table is paginated
+         */
+        pageGrid: function(cell, direction) {
+            const cellPosition = this.getGridCells(cell.parentNode).indexOf(cell);
+            const rowPosition = this.getGridRows().indexOf(cell.parentNode);
+            
+            if (this.virtualActive) {
+                const rowHeight = this.virtualRowHeight || this.config.virtualRowHeight;
+                const viewport = this.tableContainer.clientHeight || this.config.virtualScrollHeight;
+                const step = Math.max(1, Math.floor(viewport / rowHeight));
+                
+                this.tableContainer.scrollTop += direction * step * rowHeight;
+                this.updateVirtualWindow();
+                
+                const rows = this.getGridRows();
+                const target = rows.indexOf(cell.parentNode) + direction * step;
+                this.focusGridCell(rows[Math.max(1, Math.min(target, rows.length - 1))], cellPosition);
+                return;
+            }
+            
+            const totalPages = Math.ceil(this.getTotalItems() / this.config.pageSize);
+            const page = this.currentPage + direction;
+            
+            if (page < 1 || page > totalPages) {
+                // No page to move to: go to the first or last row instead
+                const rows = this.getGridRows();
+                this.focusGridCell(rows[direction > 0 ? rows.length - 1 : 1] || rows[0], cellPosition);
+                return;
+            }
+            
+            const focusPage = () => {
+                const rows = this.getGridRows();
+                this.focusGridCell(rows[Math.min(Math.max(rowPosition, 1), rows.length - 1)], cellPosition);
+            };
+            
+            const result = this.goToPage(page);
+            if (result && typeof result.then === 'function') {
+                result.then(focusPage);
+            } else {
+                focusPage();
+            }
+        },
+
+        /**
+         * Space: toggle the selection of the focused row (or a group)
+         */
+        toggleGridRow: function(cell, range) {
+            const row = cell.parentNode;
+            
+            if (row.classList.contains('wink-group-row')) {
+                this.toggleGroup(row.getAttribute('data-group-id'));
+                return;
+            }
+            
+            if (cell.tagName === 'TH') {
+                if (cell.classList.contains('wink-select-column')) {
+                    const master = cell.querySelector('.wink-select-all');
+                    this.selectAll(!master.checked);
+                }
+                return;
+            }
+            
+            const rowData = this.getRowData(row);
+            if (rowData) {
+                this.toggleRowSelection(rowData._index, range);
+                
+                const selected = this.selectedRows.has(rowData._index);
+                WinkViews.A11y.announceChange(`Row ${selected ? 'selected' : 'deselected'}, ${this.getSelectionCount()} selected`);
+            }
+        },
+
+        /**
+         * Enter: sort from a header, start editing, or open the row's show link
+         */
+        activateGridCell: function(cell, append) {
+            const row = cell.parentNode;
+            
+            if (cell.tagName === 'TH') {
+                const column = this.columns.find(col => col.element === cell);
+                if (column && column.sortable) {
+                    this.sort(column.key, append);
+                    cell.focus();
+                }
+                return;
+            }
+            
+            if (row.classList.contains('wink-group-row')) {
+                this.toggleGroup(row.getAttribute('data-group-id'));
+                return;
+            }
+            
+            if (cell.classList.contains('wink-editable-cell')) {
+                this.startEdit(cell);
+                return;
+            }
+            
+            const control = cell.querySelector('a[href], button:not([disabled])') ||
+                row.querySelector('a[data-show-link], a[rel="show"], a[title^="View"]');
+            
+            if (control) {
+                control.click();
+                return;
+            }
+            
+            const rowData = this.getRowData(row);
+            if (rowData && this.config.showUrl) {
+                window.location.href = this.expandRowUrl(this.config.showUrl, rowData);
+            }
+        },
+
+        /**
+         * Announce the number of rows after a search or filter change
+         */
+        announceResults: function() {
+            const total = this.getTotalItems();
+            
+            WinkViews.A11y.announceChange(total === 0
+                ? 'No matching rows'
+                : `${total.toLocaleString()} matching ${total === 1 ? 'row' : 'rows'}`);
+        },
+
+        /**
+         * Announce the current sort order
+         */
+        announceSort: function() {
+            const entries = this.sortStack
+                .map(entry => {
+                    const column = this.columns.find(col => col.key === entry.key);
+                    return column ? `${column.title} ${entry.direction === 'asc' ? 'ascending' : 'descending'}` : null;
+                })
+                .filter(Boolean);
+            
+            WinkViews.A11y.announceChange(entries.length ? `Sorted by ${entries.join(', then ')}` : 'Sorting cleared');
+        },
+
+        /**
+         * Find the data row for a table row element
+         */
+        getRowData: function(rowElement) {
+            return this.data.find(rowData => rowData._element === rowElement) || null;
+        },
+
+        /**
+         * Find the column a data cell belongs to
+         */
+        getCellColumn: function(cell) {
+            const index = this.getColumnCells(cell.parentNode).indexOf(cell);
+            return index === -1 ? null : this.columns[index];
+        },
+
+        /**
+         * Replace a cell's content with an editor
+         */
+        startEdit: function(cell) {
+            const rowData = this.getRowData(cell.parentNode);
+            const column = this.getCellColumn(cell);
+            if (!rowData || !column || !column.editable || cell.classList.contains('wink-cell-saving')) return;
+            
+            if (this.editing) {
+                this.cancelEdit();
+            }
+            
+            this.clearCellError(cell);
+            
+            const initialValue = this.getEditorValue(column, rowData);
+            const editor = this.createEditor(column, initialValue);
+            
+            this.editing = {
+                cell: cell,
+                column: column,
+                rowData: rowData,
+                editor: editor,
+                initialValue: initialValue,
+                originalHtml: cell.innerHTML
+            };
+            
+            cell.classList.add('wink-cell-editing');
+            cell.innerHTML = '';
+            cell.appendChild(editor);
+            editor.focus();
+            
+            editor.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.commitEdit(true);
+                } else if (e.key === 'Tab') {
+                    // Focus returns to the cell so Tab moves on from there
+                    this.commitEdit(true);
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.cancelEdit();
+                }
+                e.stopPropagation();
+            });
+            
+            editor.addEventListener('blur', () => {
+                if (this.editing && this.editing.editor === editor) {
+                    this.commitEdit();
+                }
+            });
+        },
+
+        /**
+         * Get the current value of a cell in the form its editor expects
+         */
+        getEditorValue: function(column, rowData) {
+            const value = rowData._record ? this.getRecordValue(rowData._record, column.key) : rowData[column.key];
+            
+            if (column.options) {
+                const option = column.options.find(opt => opt.value === String(value) || opt.label === String(value));
+                return option ? option.value : '';
+            }
+            
+            const type = TableManager.getColumnType(column.type);
+            
+            switch (type.base) {
+                case 'date': {
+                    if (this.isEmptyValue(value)) return '';
+                    const date = value instanceof Date ? value : this.parseCellValue(column, value);
+                    if (!(date instanceof Date) || isNaN(date)) return '';
+                    const pad = (number) => String(number).padStart(2, '0');
+                    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+                    return type.input === 'datetime-local' ? `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+                }
+                case 'boolean':
+                    return this.parseCellValue(column, value);
+                case 'number':
+                    return value === null || value === undefined || value === '' ? null : this.parseCellValue(column, value);
+                default:
+                    return value === null || value === undefined ? '' : String(value);
+            }
+        },
+
+        /**
+         * Create an editor input matching the column type
+         */
+        createEditor: function(column, value) {
+            let editor;
+            
+            if (column.options) {
+                editor = document.createElement('select');
+                column.options.forEach(option => {
+                    const element = document.createElement('option');
+                    element.value = option.value;
+                    element.textContent = option.label;
+                    element.selected = option.value === value;
+                    editor.appendChild(element);
+                });
+            } else {
+                editor = document.createElement('input');
+                editor.type = TableManager.getColumnType(column.type).input;
+                
+                switch (editor.type) {
+                    case 'number':
+                        editor.step = 'any';
+                        editor.value = value === null ? '' : value;
+                        break;
+                    case 'checkbox':
+                        editor.checked = value;
+                        break;
+                    default:
+                        editor.value = value === null ? '' : value;
+                }
+            }
+            
+            editor.className = 'wink-cell-editor';
+            editor.setAttribute('aria-label', `Edit ${column.title}`);
+            
+            return editor;
+        },
+
+        /**
+         * Read the value from an editor
+         */
+        readEditorValue: function(column, editor) {
+            if (column.options) return editor.value;
+            
+            switch (TableManager.getColumnType(column.type).base) {
+                case 'number': {
+                    if (editor.value === '') return null;
+                    
+                    // The editor starts with a plain number; anything else is read in the column's format
+                    const number = Number(editor.value);
+                    return isFinite(number) ? number : this.parseCellValue(column, editor.value);
+                }
+                case 'boolean':
+                    return editor.checked;
+                default:
+                    return editor.value;
+            }
+        },
+
+        /**
+         * Restore the cell without saving
+         */
+        cancelEdit: function(refocus = true) {
+            const editing = this.editing;
+            if (!editing) return;
+            
+            this.editing = null;
+            editing.cell.classList.remove('wink-cell-editing');
+            editing.cell.innerHTML = editing.originalHtml;
+            if (refocus) {
+                editing.cell.focus();
+            }
+            this.flushLiveUpdates();
+        },
+
+        /**
+         * Save the edited value and persist it to the server. Focus returns to the
+         * cell only when refocus is set (Enter or Tab), not when the editor lost focus.
+         */
+        commitEdit: function(refocus = false) {
+            const editing = this.editing;
+            if (!editing) return Promise.resolve();
+            
+            const { cell, column, rowData } = editing;
+            const value = this.readEditorValue(column, editing.editor);
+            
+            if (value === editing.initialValue) {
+                this.cancelEdit(refocus);
+                return Promise.resolve();
+            }
+            
+            this.editing = null;
+            cell.classList.remove('wink-cell-editing');
+            cell.classList.add('wink-cell-saving');
+            this.renderCell(cell, column, value);
+            if (refocus) {
+                cell.focus();
+            }
+            this.flushLiveUpdates();
+            
+            return this.persistCellEdit(rowData, column, value)
+                .then(response => {
+                    const savedValue = this.extractSavedValue(response, column, value);
+                    const previous = rowData[column.key];
+                    
+                    this.updateRowValue(rowData, column, savedValue);
+                    cell.classList.remove('wink-cell-saving');
+                    this.renderCell(cell, column, savedValue);
+                    
+                    this.table.dispatchEvent(new CustomEvent('wink:table:cellEdited', {
+                        detail: { row: rowData, column: column, value: rowData[column.key], previous: previous, response: response, table: this }
+                    }));
+                })
+                .catch(error => {
+                    // Roll back to the previous value
+                    cell.classList.remove('wink-cell-saving');
+                    cell.innerHTML = editing.originalHtml;
+                    
+                    if (error.status === 422) {
+                        const errors = error.body && error.body.errors ? error.body.errors[column.key] : null;
+                        const message = (errors && errors[0]) || (error.body && error.body.message) || 'The given data was invalid.';
+                        this.showCellError(cell, message);
+                    } else if (error.status === 419) {
+                        WinkViews.Utils.showNotification('Session expired. Please refresh the page.', 'warning');
+                    } else {
+                        console.error('Cell update error:', error);
+                        WinkViews.Utils.showNotification('Failed to save change. Please try again.', 'error');
+                    }
+                });
+        },
+
+        /**
+         * Send a single field update to the row's URL
+         */
+        persistCellEdit: function(rowData, column, value) {
+            const url = this.getRowUrl(rowData);
+            
+            // Without an edit URL the change is kept locally and reported via wink:table:cellEdited
+            if (!url) return Promise.resolve(null);
+            
+            const headers = {
+                'X-Requested-With': 'XMLHttpRequest',
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            };
+            
+            const csrfToken = WinkViews.Utils.getCsrfToken();
+            if (csrfToken) {
+                headers['X-CSRF-TOKEN'] = csrfToken;
+            }
+            
+            return fetch(url, {
+                method: this.config.editMethod,
+                headers: headers,
+                body: JSON.stringify({ [column.key]: value })
+            })
+            .then(response => {
+                return response.json().catch(() => null).then(body => {
+                    if (!response.ok) {
+                        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                        error.status = response.status;
+                        error.body = body;
+                        throw error;
+                    }
+                    return body;
+                });
+            });
+        },
+
+        /**
+         * Resolve the URL for a row from data-edit-url or the editUrl pattern (/posts/{id})
+         */
+        getRowUrl: function(rowData) {
+            const rowUrl = rowData._element && rowData._element.getAttribute('data-edit-url');
+            if (rowUrl) return rowUrl;
+            if (!this.config.editUrl) return null;
+            
+            return this.expandRowUrl(this.config.editUrl, rowData);
+        },
+
+        /**
+         * Replace {id} and {column} tokens in a URL pattern with row values
+         */
+        expandRowUrl: function(pattern, rowData) {
+            return pattern.replace(/\{(\w+)\}/g, (match, key) => {
+                const value = key === 'id' || key === this.config.primaryKey ? rowData._id : rowData[key];
+                return encodeURIComponent(value === undefined ? '' : value);
+            });
+        },
+
+        /**
+         * Pick the saved value from a server response, falling back to the submitted value
+         */
+        extractSavedValue: function(response, column, value) {
+            if (!response || typeof response !== 'object') return value;
+            
+            const record = response.data && typeof response.data === 'object' ? response.data : response;
+            const saved = this.getRecordValue(record, column.key);
+            
+            return saved === undefined ? value : saved;
+        },
+
+        /**
+         * Update a row's stored value in place (data and filteredData share row objects)
+         */
+        updateRowValue: function(rowData, column, value) {
+            if (rowData._record) {
+                rowData._record[column.key] = value;
+            }
+            
+            // Rows read from the DOM hold option labels, since that is what their cells contained
+            rowData[column.key] = !rowData._record && column.options
+                ? this.parseCellValue(column, this.getDisplayValue(column, value))
+                : this.parseCellValue(column, value);
+        },
+
+        /**
+         * Get the text shown in a cell for a value
+         */
+        getDisplayValue: function(column, value) {
+            if (column.options) {
+                const option = column.options.find(opt => opt.value === String(value));
+                if (option) return option.label;
+            }
+            
+            return this.formatCellValue(column, value);
+        },
+
+        /**
+         * Show a validation message on a cell
+         */
+        showCellError: function(cell, message) {
+            this.clearCellError(cell);
+            
+            const error = document.createElement('div');
+            error.className = 'wink-cell-error';
+            error.setAttribute('role', 'alert');
+            error.textContent = message;
+            
+            cell.classList.add('wink-cell-invalid');
+            cell.appendChild(error);
+            
+            setTimeout(() => this.clearCellError(cell), 6000);
+        },
+
+        /**
+         * Remove a cell validation message
+         */
+        clearCellError: function(cell) {
+            cell.classList.remove('wink-cell-invalid');
+            
+            const error = cell.querySelector('.wink-cell-error');
+            if (error) {
+                error.remove();
+            }
+        },
+
+        /**
+         * Setup windowed rendering for large datasets
+         */
+        setupVirtualScroll: function() {
+            if (!this.config.enableVirtualScroll) return;
+            
+            let frame = null;
+            this.tableContainer.addEventListener('scroll', () => {
+                if (!this.virtualActive || frame) return;
+                
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    this.updateVirtualWindow();
+                });
+            });
+        },
+
+        /**
+         * Setup responsive handling
+         */
+        setupResponsive: function() {
+            const sortable = this.columns.filter(column => column.sortable);
+            
+            this.cardControls.innerHTML = `
+                <label class="wink-card-select-all">
+                    <input type="checkbox" class="wink-card-select-all-input">
+                    Select all
+                </label>
+                ${sortable.length ? `
+                    <select class="wink-card-sort" aria-label="Sort by">
+                        <option value="">Sort by...</option>
+                        ${sortable.map(() => '<option></option><option></option>').join('')}
+                    </select>
+                ` : ''}
+            `;
+            
+            // Column titles are assigned as text
+            const options = this.cardControls.querySelectorAll('.wink-card-sort option');
+            sortable.forEach((column, index) => {
+                ['asc', 'desc'].forEach((direction, offset) => {
+                    const option = options[1 + index * 2 + offset];
+                    option.value = `${column.key}:${direction}`;
+                    option.textContent = `${column.title} (${direction === 'asc' ? 'ascending' : 'descending'})`;
+                });
+            });
+            
+            this.cardControls.addEventListener('change', (e) => {
+                if (e.target.classList.contains('wink-card-select-all-input')) {
+                    this.selectAll(e.target.checked);
+                } else if (e.target.classList.contains('wink-card-sort')) {
+                    const [key, direction] = e.target.value.split(':');
+                    this.sortStack = key ? [{ key: key, direction: direction }] : [];
+                    this.applySort();
+                }
+            });
+            
+            this.handleResize();
+        },
+
+        /**
+         * Switch between the table and the stacked card layout at the configured breakpoint
+         */
+        updateCardLayout: function() {
+            const width = this.wrapper.offsetWidth || window.innerWidth;
+            const cardLayout = this.config.cardBreakpoint > 0 && width < this.config.cardBreakpoint;
+            
+            if (cardLayout === this.cardLayout) return;
+            
+            this.cardLayout = cardLayout;
+            this.wrapper.classList.toggle('wink-table-card-layout', cardLayout);
+            this.cardControls.style.display = cardLayout ? '' : 'none';
+            this.syncCardControls();
+            this.applyFrozenColumns();
+            
+            // Virtual scrolling assumes fixed row heights, so cards always render a normal page
+            if (this.config.enableVirtualScroll && !this.isRemote && this.table.classList.contains('wink-table-initialized')) {
+                this.render();
+            }
+            
+            this.table.dispatchEvent(new CustomEvent('wink:table:layoutChanged', {
+                detail: { cardLayout: cardLayout, table: this }
+            }));
+        },
+
+        /**
+         * Keep the card sort and select-all controls in step with the table
+         */
+        syncCardControls: function() {
+            if (!this.cardControls) return;
+            
+            const sort = this.cardControls.querySelector('.wink-card-sort');
+            if (sort) {
+                const primary = this.sortStack[0];
+                sort.value = primary ? `${primary.key}:${primary.direction}` : '';
+            }
+            
+            const master = this.table.querySelector('.wink-select-all');
+            const selectAll = this.cardControls.querySelector('.wink-card-select-all-input');
+            if (master && selectAll) {
+                selectAll.checked = master.checked;
+            }
+        },
+
+        /**
+         * Handle window resize
+         */
+        handleResize: function() {
+            this.updateCardLayout();
+            
+            const containerWidth = this.tableContainer.offsetWidth;
+            const tableWidth = this.table.offsetWidth;
+            
+            if (tableWidth > containerWidth) {
+                this.table.classList.add('wink-table-scrollable');
+            } else {
+                this.table.classList.remove('wink-table-scrollable');
+            }
+            
+            this.applyFrozenColumns();
+        },
+
+        /**
+         * Search functionality
+         */
+        search: function(query) {
+            this.searchQuery = query.trim();
+            this.allMatchingSelected = false;
+            
+            if (this.isRemote) {
+                // Selected rows on other pages may no longer match
+                this.clearSelection();
+                this.currentPage = 1;
+                return this.loadRemoteData().then(() => this.announceResults());
+            }
+            
+            this.applyDataFilters();
+            this.sortData();
+            this.currentPage = 1;
+            this.render();
+            this.announceResults();
+        },
+
+        /**
+         * Sort data by column. With append, the column is added to the sort
+         * stack as a secondary key (or its direction toggled if already present).
+         */
+        sort: function(columnKey, append = false) {
+            const column = this.columns.find(col => col.key === columnKey);
+            if (!column) return;
+            
+            const existing = this.sortStack.find(entry => entry.key === columnKey);
+            const toggle = (direction) => direction === 'asc' ? 'desc' : 'asc';
+            
+            if (append && existing) {
+                existing.direction = toggle(existing.direction);
+            } else if (append && this.sortStack.length > 0) {
+                // Replace the lowest priority key once the stack is full
+                if (this.sortStack.length >= this.config.maxSortColumns) {
+                    this.sortStack.pop();
+                }
+                this.sortStack.push({ key: columnKey, direction: 'asc' });
+            } else {
+                // Toggle sort direction if same primary column
+                const primary = this.sortStack[0];
+                const direction = primary && primary.key === columnKey ? toggle(primary.direction) : 'asc';
+                this.sortStack = [{ key: columnKey, direction: direction }];
+            }
+            
+            this.applySort();
+        },
+
+        /**
+         * Clear every sort key
+         */
+        clearSort: function() {
+            this.sortStack = [];
+            this.applySort();
+        },
+
+        /**
+         * Apply the current sort stack and refresh the table
+         */
+        applySort: function() {
+            this.syncSortColumn();
+            
+            // Update UI indicators
+            this.updateSortIndicators();
+            
+            this.currentPage = 1;
+            this.saveState();
+            this.announceSort();
+            
+            if (this.isRemote) {
+                return this.loadRemoteData();
+            }
+            
+            this.sortData();
+            this.render();
+        },
+
+        /**
+         * Keep sortColumn/sortDirection pointing at the primary sort key
+         */
+        syncSortColumn: function() {
+            const primary = this.sortStack[0];
+            this.sortColumn = primary ? primary.key : null;
+            this.sortDirection = primary ? primary.direction : 'asc';
+        },
+
+        /**
+         * Sort filtered data by every key in the sort stack
+         */
+        sortData: function() {
+            const sorters = this.sortStack
+                .map(entry => ({ column: this.columns.find(col => col.key === entry.key), direction: entry.direction }))
+                .filter(sorter => sorter.column);
+            
+            if (!sorters.length) return;
+            
+            this.filteredData.sort((a, b) => {
+                for (const sorter of sorters) {
+                    const key = sorter.column.key;
+                    const result = this.compareValues(sorter.column, a[key], b[key], sorter.direction);
+                    
+                    if (result !== 0) {
+                        return result;
+                    }
+                }
+                
+                // Ties keep their original order
+                return a._index - b._index;
+            });
+        },
+
+        /**
+         * Compare two cell values based on column type. Empty values go first or
+         * last (config.sortNulls) whatever the direction.
+         */
+        compareValues: function(column, aVal, bVal, direction = 'asc') {
+            const aEmpty = this.isEmptyValue(aVal);
+            const bEmpty = this.isEmptyValue(bVal);
+            
+            if (aEmpty || bEmpty) {
+                if (aEmpty && bEmpty) return 0;
+                return (aEmpty ? 1 : -1) * (this.config.sortNulls === 'first' ? -1 : 1);
+            }
+            
+            const result = TableManager.getColumnType(column.type).compare(aVal, bVal, column, this.getCollator());
+            return direction === 'desc' ? -result : result;
+        },
+
+        /**
+         * Check for a blank value, including invalid dates and numbers
+         */
+        isEmptyValue: function(value) {
+            return value === null || value === undefined || value === '' ||
+                (value instanceof Date && isNaN(value)) ||
+                (typeof value === 'number' && isNaN(value));
+        },
+
+        /**
+         * Get the collator used for text sorting, so "Item 2" sorts before "Item 10"
+         */
+        getCollator: function() {
+            if (!this.collator) {
+                const options = { numeric: true };
+                
+                try {
+                    this.collator = new Intl.Collator(this.config.sortLocale || undefined, options);
+                } catch (e) {
+                    // Unknown locale tags fall back to the browser locale
+                    this.collator = new Intl.Collator(undefined, options);
+                }
+            }
+            
+            return this.collator;
+        },
+
+        /**
+         * Update sort indicators
+         */
+        updateSortIndicators: function() {
+            const multiple = this.sortStack.length > 1;
+            
+            this.columns.forEach(column => {
+                const indicator = column.element.querySelector('.wink-sort-indicator');
+                if (indicator) {
+                    indicator.className = 'wink-sort-indicator';
+                    indicator.removeAttribute('data-priority');
+                    column.element.removeAttribute('aria-sort');
+                    
+                    const priority = this.sortStack.findIndex(entry => entry.key === column.key);
+                    if (priority !== -1) {
+                        const direction = this.sortStack[priority].direction;
+                        indicator.classList.add(direction === 'asc' ? 'wink-sort-asc' : 'wink-sort-desc');
+                        
+                        // Show priority numbers once more than one key is active
+                        if (multiple) {
+                            indicator.setAttribute('data-priority', priority + 1);
+                        }
+                        
+                        if (priority === 0) {
+                            column.element.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : 'descending');
+                        }
+                    }
+                }
+            });
+            
+            this.renderSortSummary();
+            this.syncCardControls();
+        },
+
+        /**
+         * Render the sort stack summary in the toolbar
+         */
+        renderSortSummary: function() {
+            const summary = this.toolbar.querySelector('.wink-sort-summary');
+            if (!summary) return;
+            
+            const entries = this.sortStack
+                .map(entry => ({ column: this.columns.find(col => col.key === entry.key), direction: entry.direction }))
+                .filter(entry => entry.column);
+            
+            if (!entries.length) {
+                summary.style.display = 'none';
+                summary.innerHTML = '';
+                return;
+            }
+            
+            summary.style.display = '';
+            summary.innerHTML = `
+                <span class="wink-sort-summary-label">Sorted by</span>
+                ${entries.map((entry, index) => `
+                    <span class="wink-sort-summary-item">
+                        <span class="wink-sort-summary-priority">${index + 1}</span>
+                        <span class="wink-sort-summary-title"></span>
+                        <span class="wink-sort-summary-direction">${entry.direction === 'asc' ? '&uarr;' : '&darr;'}</span>
+                    </span>
+                `).join('')}
+                <button type="button" class="wink-btn wink-btn-sm wink-sort-clear" aria-label="Clear sorting">&times;</button>
+            `;
+            
+            summary.querySelectorAll('.wink-sort-summary-title').forEach((title, index) => {
+                title.textContent = entries[index].column.title;
+            });
+        },
+
+        /**
+         * Toggle filters panel
+         */
+        toggleFilters: function() {
+            const isVisible = this.filterPanel.style.display !== 'none';
+            this.filterPanel.style.display = isVisible ? 'none' : 'block';
+            
+            const toggle = this.toolbar.querySelector('.wink-filters-toggle');
+            if (toggle) {
+                toggle.classList.toggle('active', !isVisible);
+            }
+        },
+
+        /**
+         * Apply filters
+         */
+        applyFilters: function() {
+            const filterInputs = this.filterPanel.querySelectorAll('.wink-filter-input, .wink-filter-select');
+            this.filters = {};
+            this.allMatchingSelected = false;
+            
+            filterInputs.forEach(input => {
+                const column = input.getAttribute('data-column');
+                const type = input.getAttribute('data-type');
+                const value = input.value.trim();
+                
+                if (value) {
+                    if (!this.filters[column]) {
+                        this.filters[column] = {};
+                    }
+                    
+                    if (type) {
+                        this.filters[column][type] = value;
+                    } else {
+                        this.filters[column].value = value;
+                    }
+                }
+            });
+            
+            this.currentPage = 1;
+            this.saveState();
+            
+            if (this.isRemote) {
+                this.clearSelection();
+                return this.loadRemoteData().then(() => this.announceResults());
+            }
+            
+            this.applyDataFilters();
+            this.sortData();
+            this.render();
+            this.announceResults();
+        },
+
+        /**
+         * Apply data filters
+         */
+        applyDataFilters: function() {
+            // Patterns are compiled once for this pass rather than once per row
+            this.filterPatterns.clear();
+            
+            const filterTree = this.getActiveFilterTree();
+            const searchLower = this.searchQuery.toLowerCase();
+            
+            this.filteredData = this.data.filter(row => {
+                if (searchLower && !this.columns.some(column => {
+                    const value = row[column.key];
+                    return value && value.toString().toLowerCase().includes(searchLower);
+                })) {
+                    return false;
+                }
+                
+                if (filterTree && !this.matchesFilterGroup(row, filterTree)) {
+                    return false;
+                }
+                
+                return Object.keys(this.filters).every(columnKey => {
+                    const column = this.columns.find(col => col.key === columnKey);
+                    if (!column) return true;
+                    
+                    return TableManager.getColumnType(column.type).filter(row[columnKey], this.filters[columnKey], column);
+                });
+            });
+            
+            this.pruneSelection();
+        },
+
+        /**
+         * Deselect rows hidden by the search and filters
+         */
+        pruneSelection: function() {
+            if (!this.selectedRows.size) return;
+            
+            const visible = new Set(this.filteredData.map(row => row._index));
+            const hidden = Array.from(this.selectedRows).filter(index => !visible.has(index));
+            if (!hidden.length) return;
+            
+            hidden.forEach(index => this.selectedRows.delete(index));
+            this.updateRowSelection();
+            this.updateBulkActions();
+        },
+
+        /**
+         * Clear all filters
+         */
+        clearFilters: function() {
+            const filterInputs = this.filterPanel.querySelectorAll('.wink-filter-input, .wink-filter-select');
+            filterInputs.forEach(input => {
+                input.value = '';
+            });
+            
+            this.filters = {};
+            this.filterTree = { logic: 'and', conditions: [] };
+            this.allMatchingSelected = false;
+            this.renderFilterBuilder();
+            this.currentPage = 1;
+            this.saveState();
+            
+            if (this.isRemote) {
+                this.clearSelection();
+                return this.loadRemoteData().then(() => this.announceResults());
+            }
+            
+            this.applyDataFilters();
+            this.sortData();
+            this.render();
+            this.announceResults();
+        },
+
+        /**
+         * Fill the column filter inputs from the current filters
+         */
+        syncFilterInputs: function() {
+            this.filterPanel.querySelectorAll('.wink-filter-input, .wink-filter-select').forEach(input => {
+                const filter = this.filters[input.getAttribute('data-column')] || {};
+                input.value = filter[input.getAttribute('data-type') || 'value'] || '';
+            });
+        },
+
+        /**
+         * Restore state from the URL and keep it in sync on back/forward navigation
+         */
+        setupUrlSync: function() {
+            if (!this.config.syncUrl) return;
+            
+            // Shared links take precedence over locally saved state
+            if (this.hasUrlState()) {
+                this.applyUrlState();
+            }
+            
+            // Kept as a reference so destroy() can remove it
+            this.handlePopState = () => {
+                this.applyUrlState();
+                
+                this.restoringUrl = true;
+                if (this.isRemote) {
+                    // The remote render happens later, so the flag stays set until it has finished
+                    this.loadRemoteData().finally(() => {
+                        this.restoringUrl = false;
+                    });
+                } else {
+                    this.render();
+                    this.restoringUrl = false;
+                }
+            };
+            
+            window.addEventListener('popstate', this.handlePopState);
+        },
+
+        /**
+         * Get the query parameter name for a piece of table state
+         */
+        getUrlParamName: function(key) {
+            return this.config.urlPrefix + TableManager.remoteParamNames[key];
+        },
+
+        /**
+         * Check whether a query parameter belongs to this table
+         */
+        isUrlParam: function(name) {
+            return ['sort', 'direction', 'page', 'pageSize', 'search', 'filters', 'filterTree'].some(key => {
+                const paramName = this.getUrlParamName(key);
+                return name === paramName || name.startsWith(`${paramName}[`);
+            });
+        },
+
+        /**
+         * Check whether the URL carries state for this table
+         */
+        hasUrlState: function() {
+            return Array.from(new URLSearchParams(window.location.search).keys()).some(name => this.isUrlParam(name));
+        },
+
+        /**
+         * Build the current URL with this table's state in the query string
+         */
+        buildStateUrl: function() {
+            const url = new URL(window.location.href);
+            
+            // Other query parameters on the page are left alone
+            Array.from(url.searchParams.keys())
+                .filter(name => this.isUrlParam(name))
+                .forEach(name => url.searchParams.delete(name));
+            
+            if (this.sortStack.length) {
+                url.searchParams.set(this.getUrlParamName('sort'), this.sortStack.map(entry => entry.key).join(','));
+                url.searchParams.set(this.getUrlParamName('direction'), this.sortStack.map(entry => entry.direction).join(','));
+            }
+            
+            if (this.currentPage > 1) {
+                url.searchParams.set(this.getUrlParamName('page'), this.currentPage);
+            }
+            
+            if (this.config.pageSize !== this.defaultPageSize) {
+                url.searchParams.set(this.getUrlParamName('pageSize'), this.config.pageSize);
+            }
+            
+            if (this.searchQuery) {
+                url.searchParams.set(this.getUrlParamName('search'), this.searchQuery);
+            }
+            
+            TableManager.serializeParams(this.filters, this.getUrlParamName('filters'), url.searchParams);
+            
+            const filterTree = this.getActiveFilterTree();
+            if (filterTree) {
+                url.searchParams.set(this.getUrlParamName('filterTree'), JSON.stringify(filterTree));
+            }
+            
+            return url.toString();
+        },
+
+        /**
+         * Write the table state to the URL
+         */
+        updateUrl: function() {
+            if (!this.config.syncUrl || this.restoringUrl) return;
+            
+            const url = this.buildStateUrl();
+            if (url === window.location.href) return;
+            
+            // The first render only normalises the URL, later changes may add history entries
+            const initialized = this.table.classList.contains('wink-table-initialized');
+            const method = this.config.urlHistory === 'push' && initialized ? 'pushState' : 'replaceState';
+            
+            window.history[method](window.history.state, '', url);
+        },
+
+        /**
+         * Replace sort, page, search and filters with the state in the URL
+         */
+        applyUrlState: function() {
+            const params = new URLSearchParams(window.location.search);
+            const sort = params.get(this.getUrlParamName('sort'));
+            const directions = (params.get(this.getUrlParamName('direction')) || '').split(',');
+            
+            this.sortStack = (sort ? sort.split(',') : [])
+                .map((key, index) => ({ key: key, direction: directions[index] === 'desc' ? 'desc' : 'asc' }))
+                .filter(entry => this.columns.some(col => col.key === entry.key && col.sortable))
+                .slice(0, this.config.maxSortColumns);
+            this.syncSortColumn();
+            this.updateSortIndicators();
+            
+            this.config.pageSize = parseInt(params.get(this.getUrlParamName('pageSize')), 10) || this.defaultPageSize;
+            
+            this.searchQuery = (params.get(this.getUrlParamName('search')) || '').trim();
+            const searchInput = this.toolbar.querySelector('.wink-table-search-input');
+            if (searchInput) {
+                searchInput.value = this.searchQuery;
+            }
+            
+            this.filters = TableManager.parseParams(params, this.getUrlParamName('filters'));
+            this.syncFilterInputs();
+            
+            // A malformed or unsafe tree in a shared link is ignored
+            try {
+                const filterTree = JSON.parse(params.get(this.getUrlParamName('filterTree')));
+                this.filterTree = this.normalizeFilterTree(filterTree) || { logic: 'and', conditions: [] };
+            } catch (e) {
+                this.filterTree = { logic: 'and', conditions: [] };
+            }
+            this.renderFilterBuilder();
+            
+            this.currentPage = parseInt(params.get(this.getUrlParamName('page')), 10) || 1;
+            
+            if (!this.isRemote) {
+                this.applyDataFilters();
+                this.sortData();
+                
+                const totalPages = Math.max(1, Math.ceil(this.getTotalItems() / this.config.pageSize));
+                this.currentPage = Math.min(this.currentPage, totalPages);
+            }
+        },
+
+        /**
+         * Select all rows
+         */
+        selectAll: function(selected) {
+            // Unchecking after "select all matching" clears the whole selection
+            if (!selected && this.allMatchingSelected) {
+                return this.clearSelection();
+            }
+            
+            this.getCurrentPageData().forEach(row => {
+                if (selected) {
+                    this.selectedRows.add(row._index);
+                } else {
+                    this.selectedRows.delete(row._index);
+                }
+            });
+            
+            this.updateRowSelection();
+            this.updateBulkActions();
+        },
+
+        /**
+         * Select every row matching the current search and filters, across all pages
+         */
+        selectAllMatching: function() {
+            const rows = this.isRemote ? this.data : this.filteredData;
+            rows.forEach(row => this.selectedRows.add(row._index));
+            this.allMatchingSelected = true;
+            
+            this.updateRowSelection();
+            this.updateBulkActions();
+            
+            WinkViews.A11y.announceChange(`All ${this.getSelectionCount().toLocaleString()} matching rows selected`);
+        },
+
+        /**
+         * Key a row for selection across remote pages, or null when it has no ID
+         */
+        getSelectionKey: function(row) {
+            return row._id !== undefined && row._id !== null && row._id !== '' ? String(row._id) : null;
+        },
+
+        /**
+         * Clear the selection on every page
+         */
+        clearSelection: function() {
+            this.selectedRows.clear();
+            this.retainedSelection.clear();
+            this.selectionAnchor = null;
+            this.allMatchingSelected = false;
+            
+            this.updateRowSelection();
+            this.updateBulkActions();
+        },
+
+        /**
+         * Get selected rows, including rows selected on other remote pages. After remote
+         * "select all matching" only loaded rows are returned; getSelectionQuery() describes the rest.
+         */
+        getSelectedRows: function() {
+            const rows = this.data.filter(row => this.selectedRows.has(row._index));
+            
+            this.retainedSelection.forEach(row => rows.push(row));
+            
+            return rows;
+        },
+
+        /**
+         * Whether remote "select all matching" covers rows that were never loaded
+         */
+        isPartialSelection: function() {
+            return this.isRemote && this.allMatchingSelected;
+        },
+
+        /**
+         * Count selected rows. Remote "select all matching" counts every matching row.
+         */
+        getSelectionCount: function() {
+            if (this.isRemote && this.allMatchingSelected) {
+                return this.totalItems;
+            }
+            
+            return this.selectedRows.size + this.retainedSelection.size;
+        },
+
+        /**
+         * Describe the rows matched by the current search and filters, for remote "select all matching"
+         */
+        getSelectionQuery: function() {
+            const names = this.dataSource.params;
+            const query = {};
+            
+            if (this.searchQuery) {
+                query[names.search] = this.searchQuery;
+            }
+            
+            if (Object.keys(this.filters).length > 0) {
+                query[names.filters] = this.filters;
+            }
+            
+            const filterTree = this.getActiveFilterTree();
+            if (filterTree) {
+                query[names.filterTree] = filterTree;
+            }
+            
+            return query;
+        },
+
+        /**
+         * Toggle row selection
+         */
+        toggleRowSelection: function(rowIndex, range = false) {
+            const selected = !this.selectedRows.has(rowIndex);
+            let indexes = [rowIndex];
+            
+            // Shift-click applies the new state to every row between the anchor and this one
+            if (range && this.selectionAnchor !== null) {
+                const order = this.filteredData.map(row => row._index);
+                const from = order.indexOf(this.selectionAnchor);
+                const to = order.indexOf(rowIndex);
+                
+                if (from !== -1 && to !== -1) {
+                    indexes = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+                }
+            }
+            
+            indexes.forEach(index => {
+                if (selected) {
+                    this.selectedRows.add(index);
+                } else {
+                    this.selectedRows.delete(index);
+                }
+            });
+            
+            this.selectionAnchor = rowIndex;
+            if (!selected) {
+                this.allMatchingSelected = false;
+            }
+            
+            this.updateRowSelection();
+            this.updateBulkActions();
+        },
+
+        /**
+         * Update row selection UI
+         */
+        updateRowSelection: function() {
+            const checkboxes = this.table.querySelectorAll('.wink-select-row');
+            checkboxes.forEach(checkbox => {
+                const index = parseInt(checkbox.getAttribute('data-index'));
+                checkbox.checked = this.selectedRows.has(index);
+                
+                if (this.config.keyboardNavigation) {
+                    checkbox.closest('tr').setAttribute('aria-selected', checkbox.checked ? 'true' : 'false');
+                }
+            });
+            
+            // Update master checkbox
+            const masterCheckbox = this.table.querySelector('.wink-select-all');
+            if (masterCheckbox) {
+                const currentPageData = this.getCurrentPageData();
+                const allSelected = currentPageData.length > 0 && 
+                    currentPageData.every(row => this.selectedRows.has(row._index));
+                masterCheckbox.checked = allSelected;
+            }
+            
+            this.syncCardControls();
+            this.renderSelectionBanner();
+        },
+
+        /**
+         * Update bulk actions visibility
+         */
+        updateBulkActions: function() {
+            const count = this.getSelectionCount();
+            const bulkActions = this.toolbar.querySelector('.wink-bulk-actions');
+            if (bulkActions) {
+                bulkActions.style.display = count > 0 ? 'block' : 'none';
+                bulkActions.querySelector('.wink-bulk-count').textContent = `${count.toLocaleString()} selected`;
+                
+                // Built-in exports only see loaded rows, so they cannot run on every matching remote row
+                const select = bulkActions.querySelector('.wink-bulk-action-select');
+                Array.from(select.options).forEach(option => {
+                    option.disabled = this.isPartialSelection() && (option.value === 'export' || option.value === 'export-pdf');
+                });
+                
+                if (select.selectedOptions[0] && select.selectedOptions[0].disabled) {
+                    select.value = '';
+                }
+            }
+            
+            // Live updates held back while rows were selected are applied once the selection clears
+            this.flushLiveUpdates();
+        },
+
+        /**
+         * Offer to extend a full-page selection to every matching row
+         */
+        renderSelectionBanner: function() {
+            const banner = this.selectionBanner;
+            if (!banner) return;
+            
+            const pageRows = this.getCurrentPageData();
+            const total = this.getTotalItems();
+            const pageSelected = pageRows.length > 0 && pageRows.every(row => this.selectedRows.has(row._index));
+            
+            if (this.allMatchingSelected && total > pageRows.length) {
+                banner.innerHTML = `
+                    All ${this.getSelectionCount().toLocaleString()} matching rows are selected.
+                    <button type="button" class="wink-selection-link" data-selection-action="clear">Clear selection</button>
+                `;
+                banner.style.display = '';
+            } else if (pageSelected && total > pageRows.length && !this.isGrouped() && !this.remoteLinks) {
+                banner.innerHTML = `
+                    All ${pageRows.length.toLocaleString()} on this page are selected.
+                    <button type="button" class="wink-selection-link" data-selection-action="select-matching">Select all ${total.toLocaleString()} matching rows</button>
+                `;
+                banner.style.display = '';
+            } else {
+                banner.innerHTML = '';
+                banner.style.display = 'none';
+            }
+        },
+
+        /**
+         * Execute bulk action
+         */
+        executeBulkAction: function(action) {
+            const selectedData = this.getSelectedRows();
+            const declared = this.getBulkActions().find(item => item.key === action && item.endpoint);
+            
+            if (declared) {
+                return this.confirmBulkAction(declared, selectedData);
+            }
+            
+            if (this.isPartialSelection() && (action === 'export' || action === 'export-pdf')) {
+                WinkViews.Utils.showNotification('Exports are not available while all matching rows are selected. Export the current page instead.', 'warning');
+                return;
+            }
+            
+            switch (action) {
+                case 'export':
+                    this.exportData('csv', selectedData).catch(() => {});
+                    break;
+                case 'export-pdf':
+                    this.exportData('pdf', selectedData).catch(() => {});
+                    break;
+                default:
+                    // Emit custom event for external handling
+                    // With remote "select all matching", data holds only loaded rows and query describes the full set
+                    const event = new CustomEvent('wink:table:bulkAction', {
+                        detail: {
+                            action,
+                            data: selectedData,
+                            all: this.isPartialSelection(),
+                            query: this.isPartialSelection() ? this.getSelectionQuery() : null,
+                            table: this
+                        }
+                    });
+                    this.table.dispatchEvent(event);
+            }
+        },
+
+        /**
+         * Get the bulk actions available to the current user. Declared actions
+         * ({ key, label, endpoint, method, confirm, permission, remove }) replace
+         * built-in actions with the same key.
+         */
+        getBulkActions: function() {
+            const builtIn = [
+                {
+                    key: 'delete',
+                    label: 'Delete Selected',
+                    endpoint: this.config.bulkDeleteUrl,
+                    method: 'POST',
+                    confirm: 'Are you sure you want to delete {count} item(s)?',
+                    remove: true
+                },
+                { key: 'export', label: 'Export Selected' },
+                { key: 'export-pdf', label: 'Export Selected as PDF' }
+            ];
+            
+            const declared = this.config.bulkActions || [];
+            const permissions = this.config.permissions;
+            
+            return builtIn
+                .filter(action => !declared.some(item => item.key === action.key))
+                .concat(declared)
+                // Delete only makes sense when it can reach the server
+                .filter(action => action.key !== 'delete' || action.endpoint)
+                .filter(action => !action.permission || !Array.isArray(permissions) || permissions.includes(action.permission));
+        },
+
+        /**
+         * Confirm a server-backed bulk action, then run it
+         */
+        confirmBulkAction: function(action, rows) {
+            if (!action.confirm) {
+                return this.runBulkAction(action, rows);
+            }
+            
+            const message = action.confirm.replace('{count}', this.getSelectionCount().toLocaleString());
+            
+            return WinkViews.ModalManager.confirm(message, {
+                title: action.label,
+                confirmText: action.confirmText || action.label,
+                confirmClass: action.remove ? 'wink-btn-danger' : 'wink-btn-primary'
+            }).then(confirmed => {
+                if (confirmed) {
+                    return this.runBulkAction(action, rows);
+                }
+            });
+        },
+
+        /**
+         * Send selected row IDs to a bulk action endpoint in batches
+         */
+        runBulkAction: function(action, rows) {
+            if (this.isRemote && this.allMatchingSelected) {
+                return this.runMatchingBulkAction(action);
+            }
+            
+            const hasId = (row) => row._id !== undefined && row._id !== null && row._id !== '';
+            const targets = rows.filter(hasId);
+            const batchSize = this.config.bulkBatchSize;
+            const batches = [];
+            
+            if (!targets.length) {
+                WinkViews.Utils.showNotification(`${action.label}: the selected rows have no ID and cannot be processed`, 'warning');
+                return Promise.resolve({ succeeded: [], failed: rows.map(row => ({ row: row, message: 'Row has no ID' })), records: [] });
+            }
+            
+            // Rows without an ID cannot be sent to the server and are reported as failed
+            const results = {
+                succeeded: [],
+                failed: rows.filter(row => !hasId(row)).map(row => ({ row: row, message: 'Row has no ID' })),
+                records: []
+            };
+            
+            for (let i = 0; i < targets.length; i += batchSize) {
+                batches.push(targets.slice(i, i + batchSize));
+            }
+            
+            this.table.querySelectorAll('.wink-row-failed').forEach(row => {
+                row.classList.remove('wink-row-failed');
+                row.removeAttribute('title');
+            });
+            
+            this.setBulkBusy(true);
+            this.setBulkProgress(results.failed.length, rows.length);
+            
+            return batches.reduce((chain, batch) => chain.then(() => {
+                return this.sendBulkBatch(action, batch).then(result => {
+                    results.succeeded.push(...result.succeeded);
+                    results.failed.push(...result.failed);
+                    results.records.push(...result.records);
+                    this.setBulkProgress(results.succeeded.length + results.failed.length, rows.length);
+                });
+            }), Promise.resolve()).then(() => {
+                this.setBulkBusy(false);
+                this.finishBulkAction(action, results);
+                
+                return results;
+            });
+        },
+
+        /**
+         * Run a bulk action against every remote row matching the current filters,
+         * sending the filter descriptor instead of a list of IDs
+         */
+        runMatchingBulkAction: function(action) {
+            this.setBulkBusy(true);
+            this.setBulkProgress(0, this.totalItems);
+            
+            const headers = {
+                'X-Requested-With': 'XMLHttpRequest',
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            };
+            
+            const csrfToken = WinkViews.Utils.getCsrfToken();
+            if (csrfToken) {
+                headers['X-CSRF-TOKEN'] = csrfToken;
+            }
+            
+            return fetch(action.endpoint, {
+                method: (action.method || 'POST').toUpperCase(),
+                headers: headers,
+                body: JSON.stringify({ all: true, query: this.getSelectionQuery() })
+            })
+            .then(response => response.json()
+                .catch(() => ({}))
+                .then(body => ({ response, body })))
+            .then(({ response, body }) => {
+                const result = this.parseBulkResponse(this.data, response, body);
+                
+                this.setBulkBusy(false);
+                this.setBulkProgress(0, 0);
+                
+                if (!response.ok || body.success === false) {
+                    // An empty page leaves no rows to carry the failure message
+                    const message = result.failed.length
+                        ? result.failed[0].message
+                        : body.message || `Request failed (${response.status})`;
+                    
+                    WinkViews.Utils.showNotification(`${action.label}: ${message}`, 'error');
+                    return result;
+                }
+                
+                const failedCount = Array.isArray(body.failed) ? body.failed.length : Object.keys(body.failed || {}).length;
+                const processed = body.count !== undefined ? body.count : this.totalItems - failedCount;
+                
+                WinkViews.Utils.showNotification(
+                    `${action.label}: ${processed.toLocaleString()} item(s) processed${failedCount ? `, ${failedCount} failed` : ''}`,
+                    failedCount ? 'warning' : 'success'
+                );
+                
+                this.table.dispatchEvent(new CustomEvent('wink:table:bulkActionCompleted', {
+                    detail: { action: action.key, all: true, count: processed, failed: result.failed, table: this }
+                }));
+                
+                this.clearSelection();
+                this.loadRemoteData();
+                
+                return result;
+            })
+            .catch(error => {
+                console.error('Bulk action error:', error);
+                this.setBulkBusy(false);
+                this.setBulkProgress(0, 0);
+                WinkViews.Utils.showNotification(`${action.label} failed. Please try again.`, 'error');
+                
+                return { succeeded: [], failed: this.data.map(row => ({ row: row, message: 'Network error' })), records: [] };
+            });
+        },
+
+        /**
+         * Send one batch of IDs and sort its rows into succeeded and failed
+         */
+        sendBulkBatch: function(action, batch) {
+            const headers = {
+                'X-Requested-With': 'XMLHttpRequest',
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            };
+            
+            const csrfToken = WinkViews.Utils.getCsrfToken();
+            if (csrfToken) {
+                headers['X-CSRF-TOKEN'] = csrfToken;
+            }
+            
+            return fetch(action.endpoint, {
+                method: (action.method || 'POST').toUpperCase(),
+                headers: headers,
+                body: JSON.stringify({ ids: batch.map(row => row._id) })
+            })
+            .then(response => response.json()
+                .catch(() => ({}))
+                .then(body => this.parseBulkResponse(batch, response, body)))
+            .catch(error => {
+                console.error('Bulk action error:', error);
+                return { succeeded: [], failed: batch.map(row => ({ row: row, message: 'Network error' })), records: [] };
+            });
+        },
+
+        /**
+         * Read per-row results from a bulk action response. Failures may be listed as
+         * `failed: [{ id, message }]`, `failed: { id: message }` or `failed: [id]`.
+         */
+        parseBulkResponse: function(batch, response, body) {
+            if (!response.ok || body.success === false) {
+                const message = (response.status === 419 && 'Session expired. Please refresh the page.') ||
+                    body.message || `Request failed (${response.status})`;
+                
+                return { succeeded: [], failed: batch.map(row => ({ row: row, message: message })), records: [] };
+            }
+            
+            const failures = new Map();
+            const failed = body.failed || [];
+            
+            if (Array.isArray(failed)) {
+                failed.forEach(item => {
+                    if (item && typeof item === 'object') {
+                        failures.set(String(item.id), item.message || 'Failed');
+                    } else {
+                        failures.set(String(item), 'Failed');
+                    }
+                });
+            } else {
+                Object.keys(failed).forEach(id => failures.set(String(id), failed[id] || 'Failed'));
+            }
+            
+            return {
+                succeeded: batch.filter(row => !failures.has(String(row._id))),
+                failed: batch
+                    .filter(row => failures.has(String(row._id)))
+                    .map(row => ({ row: row, message: failures.get(String(row._id)) })),
+                records: Array.isArray(body.data) ? body.data : []
+            };
+        },
+
+        /**
+         * Apply bulk action results to the table and report them
+         */
+        finishBulkAction: function(action, results) {
+            const { succeeded, failed, records } = results;
+            
+            // Successful rows leave the selection, failed rows stay selected and are marked
+            succeeded.forEach(row => {
+                if (this.data.includes(row)) {
+                    this.selectedRows.delete(row._index);
+                }
+                const key = this.getSelectionKey(row);
+                if (key !== null) {
+                    this.retainedSelection.delete(key);
+                }
+            });
+            failed.forEach(({ row, message }) => {
+                row._element.classList.add('wink-row-failed');
+                row._element.setAttribute('title', message);
+            });
+            
+            if (action.remove) {
+                this.removeRows(succeeded);
+            } else {
+                this.updateRowsFromRecords(records);
+            }
+            
+            if (failed.length) {
+                WinkViews.Utils.showNotification(
+                    `${action.label}: ${succeeded.length} succeeded, ${failed.length} failed. ${failed[0].message}`,
+                    'warning'
+                );
+            } else {
+                WinkViews.Utils.showNotification(`${action.label}: ${succeeded.length} item(s) processed`, 'success');
+            }
+            
+            this.updateBulkActions();
+            
+            this.table.dispatchEvent(new CustomEvent('wink:table:bulkActionCompleted', {
+                detail: {
+                    action: action.key,
+                    succeeded: succeeded,
+                    failed: failed,
+                    table: this
+                }
+            }));
+        },
+
+        /**
+         * Remove rows from the table
+         */
+        removeRows: function(rows) {
+            if (!rows.length) return;
+            
+            if (this.isRemote) {
+                this.loadRemoteData();
+                return;
+            }
+            
+            rows.forEach(row => {
+                const index = this.data.indexOf(row);
+                if (index > -1) {
+                    this.data.splice(index, 1);
+                    row._element.remove();
+                }
+            });
+            
+            this.applyDataFilters();
+            this.sortData();
+            
+            const totalPages = Math.max(1, Math.ceil(this.getTotalItems() / this.config.pageSize));
+            this.currentPage = Math.min(this.currentPage, totalPages);
+            this.render();
+        },
+
+        /**
+         * Update rows with records returned by the server, matched by primary key
+         */
+        updateRowsFromRecords: function(records) {
+            records.forEach(record => {
+                const rowData = this.data.find(row => String(row._id) === String(record[this.config.primaryKey]));
+                if (rowData) {
+                    this.updateRowFromRecord(rowData, record);
+                }
+            });
+            
+            this.render();
+        },
+
+        /**
+         * Update a row's values and cells from a (possibly partial) record
+         */
+        updateRowFromRecord: function(rowData, record) {
+            const cells = this.getColumnCells(rowData._element);
+            
+            this.columns.forEach((column, index) => {
+                const value = this.getRecordValue(record, column.key);
+                if (value === undefined || column.html) return;
+                
+                this.updateRowValue(rowData, column, value);
+                if (cells[index]) {
+                    this.renderCell(cells[index], column, value);
+                }
+            });
+        },
+
+        /**
+         * Show bulk action progress
+         */
+        setBulkProgress: function(done, total) {
+            const progress = this.toolbar.querySelector('.wink-bulk-progress');
+            if (progress) {
+                progress.textContent = done < total ? `Processing ${done.toLocaleString()} of ${total.toLocaleString()}...` : '';
+            }
+        },
+
+        /**
+         * Disable bulk action controls while a request is running
+         */
+        setBulkBusy: function(busy) {
+            this.toolbar.querySelectorAll('.wink-bulk-action-select, .wink-bulk-apply').forEach(control => {
+                control.disabled = busy;
+            });
+        },
+
+        /**
+         * Setup the import button, and paste or file drop onto the table
+         */
+        setupImport: function() {
+            if (!this.config.importUrl) return;
+            
+            const container = this.toolbar.querySelector('.wink-table-import');
+            container.style.display = '';
+            container.querySelector('.wink-import-toggle').addEventListener('click', () => this.openImport());
+            
+            // Pasting spreadsheet rows into the table (outside any input) opens the import preview
+            this.tableContainer.addEventListener('paste', (e) => {
+                if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+                
+                const text = e.clipboardData && e.clipboardData.getData('text/plain');
+                if (text && text.includes('\t')) {
+                    e.preventDefault();
+                    this.openImport(text);
+                }
+            });
+            
+            this.tableContainer.addEventListener('dragover', (e) => {
+                if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) {
+                    e.preventDefault();
+                    this.tableContainer.classList.add('wink-import-dragover');
+                }
+            });
+            
+            this.tableContainer.addEventListener('dragleave', () => {
+                this.tableContainer.classList.remove('wink-import-dragover');
+            });
+            
+            this.tableContainer.addEventListener('drop', (e) => {
+                const file = e.dataTransfer && e.dataTransfer.files[0];
+                this.tableContainer.classList.remove('wink-import-dragover');
+                if (!file) return;
+                
+                e.preventDefault();
+                this.openImport();
+                this.readImportFile(file);
+            });
+        },
+
+        /**
+         * Open the import dialog, optionally with pasted text
+         */
+        openImport: function(text) {
+            if (!this.importState) {
+                const modal = WinkViews.ModalManager.create({
+                    title: 'Import rows',
+                    size: 'lg',
+                    content: `
+                        <div class="wink-import">
+                            <div class="wink-import-source">
+                                <textarea class="wink-import-text" rows="5" aria-label="Rows to import"
+                                    placeholder="Paste rows copied from a spreadsheet, or drop a CSV file here"></textarea>
+                                <div class="wink-import-options">
+                                    <label>
+                                        <input type="checkbox" class="wink-import-header" checked>
+                                        First row has column names
+                                    </label>
+                                    <label class="wink-btn wink-btn-sm wink-import-browse">
+                                        Choose file
+                                        <input type="file" class="wink-import-file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" hidden>
+                                    </label>
+                                </div>
+                            </div>
+                            <div class="wink-import-summary" role="status" aria-live="polite"></div>
+                            <div class="wink-import-preview"></div>
+                        </div>
+                    `,
+                    footer: `
+                        <button type="button" class="wink-btn wink-btn-secondary" data-action="cancel">Cancel</button>
+                        <button type="button" class="wink-btn wink-btn-primary" data-action="import" disabled>Import</button>
+                    `,
+                    onAction: (action) => {
+                        if (action === 'cancel') {
+                            modal.hide();
+                        } else if (action === 'import') {
+                            this.runImport();
+                        }
+                    },
+                    onHide: () => {
+                        this.importState = null;
+                        modal.destroy();
+                    }
+                });
+                
+                this.importState = { modal: modal, headers: [], rows: [], mapping: [], results: null, busy: false };
+                this.setupImportDialog(modal.element);
+                modal.show();
+            }
+            
+            if (text) {
+                this.importState.modal.element.querySelector('.wink-import-text').value = text;
+                this.loadImportText(text);
+            }
+        },
+
+        /**
+         * Wire up the import dialog controls
+         */
+        setupImportDialog: function(element) {
+            const textarea = element.querySelector('.wink-import-text');
+            const source = element.querySelector('.wink-import-source');
+            
+            textarea.addEventListener('input', WinkViews.Utils.debounce(() => {
+                this.loadImportText(textarea.value);
+            }, this.config.debounceDelay));
+            
+            element.querySelector('.wink-import-header').addEventListener('change', () => {
+                this.loadImportText(textarea.value);
+            });
+            
+            element.querySelector('.wink-import-file').addEventListener('change', (e) => {
+                if (e.target.files[0]) {
+                    this.readImportFile(e.target.files[0]);
+                }
+            });
+            
+            source.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                source.classList.add('wink-import-dragover');
+            });
+            
+            source.addEventListener('dragleave', () => source.classList.remove('wink-import-dragover'));
+            
+            source.addEventListener('drop', (e) => {
+                e.preventDefault();
+                source.classList.remove('wink-import-dragover');
+                if (e.dataTransfer.files[0]) {
+                    this.readImportFile(e.dataTransfer.files[0]);
+                }
+            });
+            
+            // Column mapping selects live in the preview header
+            element.querySelector('.wink-import-preview').addEventListener('change', (e) => {
+                if (e.target.hasAttribute('data-source-index')) {
+                    this.importState.mapping[parseInt(e.target.getAttribute('data-source-index'), 10)] = e.target.value;
+                    this.renderImportPreview();
+                }
+            });
+        },
+
+        /**
+         * Read a dropped or chosen CSV file into the import dialog
+         */
+        readImportFile: function(file) {
+            return file.text().then(text => {
+                if (!this.importState) return;
+                
+                this.importState.modal.element.querySelector('.wink-import-text').value = text;
+                this.loadImportText(text);
+            });
+        },
+
+        /**
+         * Parse import text and guess the column mapping
+         */
+        loadImportText: function(text) {
+            const state = this.importState;
+            if (!state || state.busy) return;
+            
+            const rows = this.parseDelimited(text || '');
+            const hasHeader = state.modal.element.querySelector('.wink-import-header').checked;
+            const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+            
+            state.headers = hasHeader && rows.length
+                ? Array.from({ length: width }, (value, index) => (rows[0][index] || '').trim())
+                : Array.from({ length: width }, (value, index) => `Column ${index + 1}`);
+            state.rows = hasHeader ? rows.slice(1) : rows;
+            state.results = null;
+            
+            // Map by title or key when there is a header row, otherwise by position
+            const used = new Set();
+            state.mapping = state.headers.map((header, index) => {
+                const name = header.toLowerCase();
+                const column = hasHeader
+                    ? this.columns.find(col => !used.has(col.key) && (col.title.toLowerCase() === name || col.key.toLowerCase() === name))
+                    : this.columns[index];
+                
+                if (!column) return '';
+                used.add(column.key);
+                return column.key;
+            });
+            
+            this.renderImportPreview();
+        },
+
+        /**
+         * Split CSV or TSV text into rows of cells, honouring quoted fields.
+         * The delimiter (tab, semicolon or comma) is guessed from the first line.
+         */
+        parseDelimited: function(text) {
+            const firstLine = text.split(/\r?\n/, 1)[0];
+            const delimiter = ['\t', ';', ','].reduce((best, candidate) => {
+                return firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best;
+            }, ',');
+            
+            const rows = [];
+            let row = [];
+            let field = '';
+            let quoted = false;
+            
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                
+                if (quoted) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"' && field === '') {
+                    quoted = true;
+                } else if (char === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                } else {
+                    field += char;
+                }
+            }
+            
+            if (field !== '' || row.length) {
+                row.push(field);
+                rows.push(row);
+            }
+            
+            return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+        },
+
+        /**
+         * Check an import row against the mapped columns' type parsers
+         */
+        validateImportRow: function(values) {
+            const record = {};
+            const errors = {};
+            
+            this.importState.mapping.forEach((key, index) => {
+                const column = this.columns.find(col => col.key === key);
+                if (!column) return;
+                
+                const raw = (values[index] || '').trim();
+                if (raw === '') {
+                    record[key] = null;
+                    return;
+                }
+                
+                // Type parsers return null or NaN for text they cannot read
+                const parsed = this.parseCellValue(column, raw);
+                const invalid = this.isEmptyValue(parsed) ||
+                    (column.options && !column.options.some(option => option.value === String(parsed)));
+                
+                if (invalid) {
+                    errors[key] = `"${raw}" is not a valid ${column.title}`;
+                } else {
+                    // Dates are sent as typed so the server parses them in its own timezone
+                    record[key] = parsed instanceof Date ? raw : parsed;
+                }
+            });
+            
+            return { record: record, errors: errors };
+        },
+
+        /**
+         * Render the mapping header, a preview of the rows and the validation summary
+         */
+        renderImportPreview: function() {
+            const state = this.importState;
+            const element = state.modal.element;
+            const preview = element.querySelector('.wink-import-preview');
+            const summary = element.querySelector('.wink-import-summary');
+            const importButton = element.querySelector('[data-action="import"]');
+            const limit = 50;
+            
+            const checked = state.rows.map(values => this.validateImportRow(values));
+            const valid = checked.filter(result => !Object.keys(result.errors).length).length;
+            const mapped = state.mapping.some(Boolean);
+            
+            importButton.disabled = state.busy || !mapped || valid === 0;
+            
+            if (!state.rows.length) {
+                preview.innerHTML = '';
+                summary.textContent = '';
+                return;
+            }
+            
+            preview.innerHTML = `
+                <table class="wink-table wink-import-table">
+                    <thead>
+                        <tr>
+                            ${state.headers.map((header, index) => `
+                                <th>
+                                    <span class="wink-import-source-name"></span>
+                                    <select class="wink-filter-select" data-source-index="${index}" aria-label="Column for source column ${index + 1}">
+                                        <option value="">Skip</option>
+                                        ${this.columns.map(column => `<option value="${column.key}" ${state.mapping[index] === column.key ? 'selected' : ''}></option>`).join('')}
+                                    </select>
+                                </th>
+                            `).join('')}
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            `;
+            
+            preview.querySelectorAll('.wink-import-source-name').forEach((name, index) => {
+                name.textContent = state.headers[index];
+            });
+            preview.querySelectorAll('[data-source-index]').forEach(select => {
+                Array.from(select.options).slice(1).forEach((option, index) => {
+                    option.textContent = this.columns[index].title;
+                });
+            });
+            
+            const tbody = preview.querySelector('tbody');
+            state.rows.slice(0, limit).forEach((values, rowIndex) => {
+                const row = document.createElement('tr');
+                const errors = checked[rowIndex].errors;
+                const result = state.results && state.results[rowIndex];
+                
+                state.headers.forEach((header, index) => {
+                    const cell = document.createElement('td');
+                    const error = errors[state.mapping[index]];
+                    
+                    cell.textContent = values[index] || '';
+                    cell.classList.toggle('wink-import-skipped', !state.mapping[index]);
+                    if (error) {
+                        cell.classList.add('wink-import-invalid');
+                        cell.title = error;
+                    }
+                    row.appendChild(cell);
+                });
+                
+                const status = document.createElement('td');
+                status.className = 'wink-import-status';
+                if (result) {
+                    status.textContent = result.ok ? 'Imported' : result.message;
+                    row.classList.add(result.ok ? 'wink-import-ok' : 'wink-row-failed');
+                } else {
+                    status.textContent = Object.keys(errors).length ? Object.values(errors)[0] : 'Ready';
+                }
+                row.appendChild(status);
+                
+                tbody.appendChild(row);
+            });
+            
+            const invalid = state.rows.length - valid;
+            summary.textContent = state.results
+                ? summary.textContent
+                : `${valid.toLocaleString()} of ${state.rows.length.toLocaleString()} rows ready to import` +
+                    (invalid ? `, ${invalid.toLocaleString()} with errors` : '') +
+                    (state.rows.length > limit ? ` (showing the first ${limit})` : '');
+        },
+
+        /**
+         * POST valid import rows in batches and report per-row results
+         */
+        runImport: function() {
+            const state = this.importState;
+            if (!state || state.busy) return Promise.resolve();
+            
+            const summary = state.modal.element.querySelector('.wink-import-summary');
+            const pending = [];
+            
+            state.rows.forEach((values, index) => {
+                const { record, errors } = this.validateImportRow(values);
+                if (!Object.keys(errors).length) {
+                    pending.push({ index: index, record: record });
+                }
+            });
+            
+            const batchSize = this.config.importBatchSize;
+            const batches = [];
+            for (let i = 0; i < pending.length; i += batchSize) {
+                batches.push(pending.slice(i, i + batchSize));
+            }
+            
+            const results = {};
+            const imported = [];
+            let done = 0;
+            
+            state.busy = true;
+            this.renderImportPreview();
+            summary.textContent = `Importing 0 of ${pending.length.toLocaleString()}...`;
+            
+            return batches.reduce((chain, batch) => chain.then(() => {
+                return this.sendImportBatch(batch).then(result => {
+                    result.failed.forEach(({ item, message }) => {
+                        results[item.index] = { ok: false, message: message };
+                    });
+                    result.succeeded.forEach(({ item, record }) => {
+                        results[item.index] = { ok: true };
+                        imported.push(record);
+                    });
+                    
+                    done += batch.length;
+                    summary.textContent = `Importing ${done.toLocaleString()} of ${pending.length.toLocaleString()}...`;
+                });
+            }), Promise.resolve()).then(() => {
+                const failed = pending.length - imported.length;
+                
+                this.addImportedRecords(imported);
+                
+                // The dialog may have been closed while the requests were running
+                if (this.importState === state) {
+                    state.busy = false;
+                    state.results = results;
+                    summary.textContent = `Imported ${imported.length.toLocaleString()} ${imported.length === 1 ? 'row' : 'rows'}` +
+                        (failed ? `, ${failed.toLocaleString()} failed` : '');
+                    this.renderImportPreview();
+                    state.modal.element.querySelector('[data-action="import"]').disabled = true;
+                }
+                
+                WinkViews.Utils.showNotification(
+                    failed ? `Imported ${imported.length} row(s), ${failed} failed` : `Imported ${imported.length} row(s)`,
+                    failed ? 'warning' : 'success'
+                );
+                
+                this.table.dispatchEvent(new CustomEvent('wink:table:imported', {
+                    detail: { records: imported, failed: failed, table: this }
+                }));
+                
+                return { imported: imported, failed: failed };
+            });
+        },
+
+        /**
+         * Send one batch of import rows. Failures may come back as `failed: [{ index, message }]`
+         * (index within the batch) or as Laravel validation errors keyed `rows.{index}.{field}`.
+         */
+        sendImportBatch: function(batch) {
+            const failedBatch = (message) => ({ succeeded: [], failed: batch.map(item => ({ item: item, message: message })) });
+            
+            const headers = {
+                'X-Requested-With': 'XMLHttpRequest',
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            };
+            
+            const csrfToken = WinkViews.Utils.getCsrfToken();
+            if (csrfToken) {
+                headers['X-CSRF-TOKEN'] = csrfToken;
+            }
+            
+            return fetch(this.config.importUrl, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({ rows: batch.map(item => item.record) })
+            })
+            .then(response => response.json()
+                .catch(() => ({}))
+                .then(body => {
+                    const failures = new Map();
+                    
+                    if (response.status === 422 && body.errors) {
+                        Object.keys(body.errors).forEach(field => {
+                            const match = field.match(/^rows\.(\d+)\./);
+                            const message = [].concat(body.errors[field])[0];
+                            if (match && !failures.has(Number(match[1]))) {
+                                failures.set(Number(match[1]), message);
+                            }
+                        });
+                        
+                        // Laravel rejects the whole batch when any row is invalid
+                        return {
+                            succeeded: [],
+                            failed: batch.map((item, index) => ({ item: item, message: failures.get(index) || 'Not imported, another row in the batch was invalid' }))
+                        };
+                    }
+                    
+                    if (!response.ok || body.success === false) {
+                        return failedBatch((response.status === 419 && 'Session expired. Please refresh the page.') ||
+                            body.message || `Request failed (${response.status})`);
+                    }
+                    
+                    const failed = body.failed || [];
+                    if (Array.isArray(failed)) {
+                        failed.forEach(entry => failures.set(Number(entry.index), entry.message || 'Failed'));
+                    } else {
+                        Object.keys(failed).forEach(index => failures.set(Number(index), failed[index] || 'Failed'));
+                    }
+                    
+                    // Saved records come back in request order for the rows that succeeded
+                    const records = Array.isArray(body.data) ? body.data : [];
+                    const succeeded = batch.filter((item, index) => !failures.has(index));
+                    
+                    return {
+                        succeeded: succeeded.map((item, index) => ({ item: item, record: records[index] || item.record })),
+                        failed: batch
+                            .map((item, index) => ({ item: item, message: failures.get(index) }))
+                            .filter(entry => entry.message)
+                    };
+                }))
+            .catch(error => {
+                console.error('Import error:', error);
+                return failedBatch('Network error');
+            });
+        },
+
+        /**
+         * Append rows for new records to the local data, returning the new rows
+         */
+        appendRecords: function(records) {
+            const tbody = this.table.querySelector('tbody');
+            const nextIndex = this.data.reduce((max, row) => Math.max(max, row._index), -1) + 1;
+            const rows = records.map((record, offset) => {
+                const rowData = { _index: nextIndex + offset, _id: record[this.config.primaryKey], _record: record };
+                
+                this.columns.forEach(column => {
+                    rowData[column.key] = this.parseCellValue(column, this.getRecordValue(record, column.key));
+                });
+                
+                rowData._element = this.createRowElement(rowData);
+                tbody.appendChild(rowData._element);
+                return rowData;
+            });
+            
+            this.data.push(...rows);
+            return rows;
+        },
+
+        /**
+         * Add records accepted by the server to the table
+         */
+        addImportedRecords: function(records) {
+            if (!records.length) return;
+            
+            if (this.isRemote) {
+                this.loadRemoteData();
+                return;
+            }
+            
+            this.appendRecords(records);
+            this.applyDataFilters();
+            this.sortData();
+            this.render();
+        },
+
+        /**
+         * Export data; resolves with the downloaded file once the queued job finishes
+         */
+        exportData: function(format, customData = null, options = {}) {
+            const dataToExport = customData || this.getExportRows(options.scope || 'filtered');
+            const fileType = TableManager.exportFileTypes[format] || { extension: format };
+            const filename = `${this.getExportFilename(options.filename)}.${fileType.extension}`;
+            
+            // options.columns picks and orders columns by key, defaulting to the visible ones
+            const columns = options.columns
+                ? options.columns.map(key => this.columns.find(column => column.key === key)).filter(Boolean)
+                : this.getVisibleColumns();
+            
+            // Column metadata lets typed formats keep numbers, dates and booleans
+            const exportColumns = columns.map(column => ({
+                key: column.key,
+                title: column.title,
+                type: TableManager.getColumnType(column.type).base,
+                width: column.width
+            }));
+            
+            const exportOptions = Object.assign({
+                title: this.getExportTitle(),
+                exportedAt: new Date().toLocaleString(),
+                orientation: this.config.pdfOrientation,
+                delimiter: this.config.csvDelimiter,
+                bom: this.config.csvBom
+            }, options);
+            delete exportOptions.columns;
+            
+            return TableManager.queueExport({
+                table: this,
+                format: format,
+                filename: filename,
+                // A snapshot, so sorting or live updates during a chunked export cannot shift rows
+                rows: dataToExport.slice(),
+                columns: columns,
+                exportColumns: exportColumns,
+                options: exportOptions,
+                // Spreadsheet formats get the footer aggregates as a final row
+                aggregateRow: format === 'csv' || format === 'excel'
+                    ? this.getExportAggregateRow(dataToExport, columns)
+                    : null
+            });
+        },
+
+        /**
+         * Serialize a job's rows in chunks, then build and download the file
+         */
+        runExportJob: function(job) {
+            const worker = TableManager.exportWorker;
+            const chunkSize = Math.max(1, this.config.exportChunkSize);
+            const exportData = [];
+            let offset = 0;
+            
+            if (worker) {
+                worker.postMessage({ type: 'start', id: job.id, format: job.format, columns: job.exportColumns, options: job.options });
+            }
+            
+            return new Promise((resolve, reject) => {
+                job.settle = { resolve, reject };
+                
+                // Yield between chunks so very large exports keep the page responsive
+                // Errors in export hooks or postMessage reject the job so the queue moves on
+                const next = () => {
+                    if (job.cancelled) return;
+                    
+                    try {
+                        // Prepare data for export (remove internal properties)
+                        const chunk = job.rows.slice(offset, offset + chunkSize).map(row => {
+                            const cleanRow = {};
+                            job.columns.forEach(column => {
+                                cleanRow[column.title] = TableManager.getColumnType(column.type).export(row[column.key], column);
+                            });
+                            return cleanRow;
+                        });
+                        
+                        offset += chunk.length;
+                        if (offset >= job.rows.length && job.aggregateRow) {
+                            chunk.push(job.aggregateRow);
+                        }
+                        
+                        if (worker) {
+                            worker.postMessage({ type: 'chunk', id: job.id, rows: chunk });
+                        } else {
+                            chunk.forEach(row => exportData.push(row));
+                        }
+                        
+                        if (offset < job.rows.length) {
+                            this.updateExportProgress(job, offset / job.rows.length);
+                            setTimeout(next, 0);
+                            return;
+                        }
+                        
+                        this.updateExportProgress(job, null);
+                        
+                        if (worker) {
+                            worker.postMessage({ type: 'end', id: job.id });
+                            return;
+                        }
+                        
+                        // Fallback to main thread
+                        switch (job.format) {
+                            case 'excel':
+                                resolve(buildXlsx(exportData, job.exportColumns));
+                                break;
+                            case 'pdf':
+                                resolve(this.generatePDF(exportData, job.exportColumns, job.options));
+                                break;
+                            default:
+                                resolve(buildText(job.format, exportData, job.exportColumns, job.options));
+                        }
+                    } catch (error) {
+                        if (worker) {
+                            worker.postMessage({ type: 'cancel', id: job.id });
+                        }
+                        reject(error);
+                    }
+                };
+                
+                next();
+            }).then(content => {
+                const blob = this.downloadFile(content, job.filename, job.format);
+                const result = { id: job.id, format: job.format, filename: job.filename, rows: job.rows.length, blob: blob };
+                
+                this.table.dispatchEvent(new CustomEvent('wink:table:exported', {
+                    detail: Object.assign({ table: this }, result)
+                }));
+                
+                return result;
+            }, error => {
+                if (error.name !== 'AbortError') {
+                    WinkViews.Utils.showNotification('Export failed', 'error');
+                }
+                throw error;
+            });
+        },
+
+        /**
+         * Show a progress toast with a cancel button for an export job
+         */
+        showExportProgress: function(job) {
+            let container = document.querySelector('.wink-export-jobs');
+            if (!container) {
+                container = document.createElement('div');
+                container.className = 'wink-export-jobs';
+                container.setAttribute('aria-live', 'polite');
+                document.body.appendChild(container);
+            }
+            
+            const toast = document.createElement('div');
+            toast.className = 'wink-notification wink-notification-info wink-export-job';
+            toast.innerHTML = `
+                <div class="wink-export-job-body">
+                    <span class="wink-notification-message"></span>
+                    <progress class="wink-export-job-progress" max="100" value="0"></progress>
+                </div>
+                <button type="button" class="wink-btn wink-btn-sm wink-btn-secondary">Cancel</button>
+            `;
+            toast.querySelector('.wink-notification-message').textContent = `Waiting to export ${job.filename}`;
+            toast.querySelector('button').addEventListener('click', () => TableManager.cancelExport(job.id));
+            
+            container.appendChild(toast);
+            job.toast = toast;
+        },
+
+        /**
+         * Update an export job's progress; null means the file is being built
+         */
+        updateExportProgress: function(job, fraction) {
+            if (!job.toast) return;
+            
+            const progress = job.toast.querySelector('progress');
+            const message = job.toast.querySelector('.wink-notification-message');
+            
+            if (fraction === null) {
+                progress.removeAttribute('value');
+                message.textContent = `Building ${job.filename}`;
+            } else {
+                progress.value = Math.round(fraction * 100);
+                message.textContent = `Exporting ${job.filename} (${progress.value}%)`;
+            }
+        },
+
+        /**
+         * Remove an export job's progress toast
+         */
+        hideExportProgress: function(job) {
+            if (!job.toast) return;
+            
+            const container = job.toast.parentNode;
+            job.toast.remove();
+            job.toast = null;
+            
+            if (container && !container.children.length) {
+                container.remove();
+            }
+        },
+
+        /**
+         * Generate CSV content
+         */
+        generateCSV: function(data, options = {}) {
+            if (!data.length) return '';
+            
+            const columns = Object.keys(data[0]).map(title => ({ title: title }));
+            return buildText('csv', data, columns, options);
+        },
+
+        /**
+         * Get the rows for an export scope: page, filtered, selected or all
+         */
+        getExportRows: function(scope) {
+            switch (scope) {
+                case 'page':
+                    return this.getCurrentPageData();
+                case 'selected':
+                    return this.getSelectedRows();
+                case 'all':
+                    return this.data;
+                default:
+                    return this.filteredData;
+            }
+        },
+
+        /**
+         * Expand an export filename template ({table}, {date}, {time}), without extension
+         */
+        getExportFilename: function(template) {
+            const now = new Date();
+            const pad = (number) => String(number).padStart(2, '0');
+            const tokens = {
+                table: this.table.id,
+                date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+                time: `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`
+            };
+            
+            const name = (template || this.config.exportFilename)
+                .replace(/\{(\w+)\}/g, (match, token) => token in tokens ? tokens[token] : match)
+                .replace(/[\\/:*?"<>|\x00-\x1F]+/g, '-')
+                .trim();
+            
+            return name || `${tokens.table}-${tokens.date}`;
+        },
+
+        /**
+         * Open the export dialog with format, scope, column and filename options
+         */
+        openExportDialog: function() {
+            const id = WinkViews.Utils.generateId();
+            const counts = {
+                page: this.getCurrentPageData().length,
+                filtered: this.filteredData.length,
+                selected: this.getSelectedRows().length,
+                all: this.data.length
+            };
+            
+            // Remote tables only hold the current page, so they cannot export all matching or all rows
+            const scopes = [
+                { value: 'page', label: 'Current page' },
+                { value: 'filtered', label: 'All matching rows' },
+                { value: 'selected', label: 'Selected rows' },
+                { value: 'all', label: 'All rows, ignoring filters' }
+            ].filter(scope => !this.isRemote || scope.value === 'page' || scope.value === 'selected');
+            
+            scopes.forEach(scope => {
+                scope.disabled = !counts[scope.value];
+            });
+            
+            // Selected rows on pages that were never loaded cannot be exported
+            if (this.isPartialSelection()) {
+                const selected = scopes.find(scope => scope.value === 'selected');
+                selected.disabled = true;
+                selected.note = 'not available while all matching rows are selected';
+            }
+            
+            // Default to all matching rows, or the first scope that can be exported
+            const defaultScope = scopes.find(scope => scope.value === 'filtered' && !scope.disabled) ||
+                scopes.find(scope => !scope.disabled);
+            
+            const modal = WinkViews.ModalManager.create({
+                title: 'Export',
+                content: `
+                    <div class="wink-export-dialog">
+                        <div class="wink-export-field">
+                            <label for="${id}-format">Format</label>
+                            <select id="${id}-format" class="wink-filter-select wink-export-format">
+                                ${this.getExportFormats().map(format => `
+                                    <option value="${format}">${TableManager.exportFileTypes[format].label || format}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="wink-export-field" data-export-format="csv">
+                            <label for="${id}-delimiter">Delimiter</label>
+                            <select id="${id}-delimiter" class="wink-filter-select wink-export-delimiter">
+                                <option value=",">Comma</option>
+                                <option value=";">Semicolon</option>
+                                <option value="\t">Tab</option>
+                            </select>
+                            <label class="wink-export-check">
+                                <input type="checkbox" class="wink-export-bom" ${this.config.csvBom ? 'checked' : ''}>
+                                Add a byte order mark (for Excel)
+                            </label>
+                        </div>
+                        <div class="wink-export-field" data-export-format="pdf">
+                            <label for="${id}-orientation">Orientation</label>
+                            <select id="${id}-orientation" class="wink-filter-select wink-export-orientation">
+                                <option value="landscape" ${this.config.pdfOrientation === 'landscape' ? 'selected' : ''}>Landscape</option>
+                                <option value="portrait" ${this.config.pdfOrientation === 'portrait' ? 'selected' : ''}>Portrait</option>
+                            </select>
+                        </div>
+                        <fieldset class="wink-export-field">
+                            <legend>Rows</legend>
+                            ${scopes.map(scope => `
+                                <label class="wink-export-check">
+                                    <input type="radio" name="${id}-scope" value="${scope.value}"
+                                        ${scope === defaultScope ? 'checked' : ''}
+                                        ${scope.disabled ? 'disabled' : ''}>
+                                    ${scope.label} (${scope.note || counts[scope.value].toLocaleString()})
+                                </label>
+                            `).join('')}
+                        </fieldset>
+                        <fieldset class="wink-export-field">
+                            <legend>Columns</legend>
+                            <ul class="wink-export-columns">
+                                ${this.columns.map(column => `
+                                    <li data-column="${column.key}">
+                                        <label class="wink-export-check">
+                                            <input type="checkbox" ${column.visible ? 'checked' : ''}>
+                                            <span class="wink-export-column-title"></span>
+                                        </label>
+                                        <button type="button" class="wink-btn wink-btn-sm" data-move="-1" aria-label="Move up">&uarr;</button>
+                                        <button type="button" class="wink-btn wink-btn-sm" data-move="1" aria-label="Move down">&darr;</button>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </fieldset>
+                        <div class="wink-export-field">
+                            <label for="${id}-filename">File name</label>
+                            <input type="text" id="${id}-filename" class="wink-filter-input wink-export-filename">
+                            <small class="wink-export-filename-hint">Use {table}, {date} and {time}. Saved as <span class="wink-export-filename-preview"></span></small>
+                        </div>
+                    </div>
+                `,
+                footer: `
+                    <button type="button" class="wink-btn wink-btn-secondary" data-action="cancel">Cancel</button>
+                    <button type="button" class="wink-btn wink-btn-primary" data-action="export">Export</button>
+                `,
+                onAction: (action) => {
+                    if (action === 'cancel') {
+                        modal.hide();
+                    } else if (action === 'export') {
+                        const options = this.readExportDialog(modal.element, id);
+                        if (!options.columns.length) {
+                            WinkViews.Utils.showNotification('Choose at least one column to export.', 'warning');
+                            return;
+                        }
+                        
+                        modal.hide();
+                        this.exportData(options.format, null, options).catch(() => {});
+                    }
+                },
+                onHide: () => modal.destroy()
+            });
+            
+            const element = modal.element;
+            const formatSelect = element.querySelector('.wink-export-format');
+            const filenameInput = element.querySelector('.wink-export-filename');
+            
+            element.querySelector('.wink-export-delimiter').value = this.config.csvDelimiter;
+            element.querySelectorAll('.wink-export-column-title').forEach((title, index) => {
+                title.textContent = this.columns[index].title;
+            });
+            filenameInput.value = this.config.exportFilename;
+            
+            const update = () => {
+                const fileType = TableManager.exportFileTypes[formatSelect.value];
+                element.querySelectorAll('[data-export-format]').forEach(field => {
+                    field.style.display = field.getAttribute('data-export-format') === formatSelect.value ? '' : 'none';
+                });
+                element.querySelector('.wink-export-filename-preview').textContent =
+                    `${this.getExportFilename(filenameInput.value)}.${fileType.extension}`;
+            };
+            
+            formatSelect.addEventListener('change', update);
+            filenameInput.addEventListener('input', update);
+            update();
+            
+            element.querySelector('.wink-export-columns').addEventListener('click', (e) => {
+                const move = e.target.getAttribute('data-move');
+                if (!move) return;
+                
+                const item = e.target.closest('li');
+                const sibling = move === '-1' ? item.previousElementSibling : item.nextElementSibling;
+                if (sibling) {
+                    item.parentNode.insertBefore(item, move === '-1' ? sibling : sibling.nextSibling);
+                    e.target.focus();
+                }
+            });
+            
+            modal.show();
+            return modal;
+        },
+
+        /**
+         * Read the chosen options from the export dialog
+         */
+        readExportDialog: function(element, id) {
+            const scope = element.querySelector(`input[name="${id}-scope"]:checked`);
+            
+            return {
+                format: element.querySelector('.wink-export-format').value,
+                scope: scope ? scope.value : (this.isRemote ? 'page' : 'filtered'),
+                columns: Array.from(element.querySelectorAll('.wink-export-columns li'))
+                    .filter(item => item.querySelector('input').checked)
+                    .map(item => item.getAttribute('data-column')),
+                delimiter: element.querySelector('.wink-export-delimiter').value,
+                bom: element.querySelector('.wink-export-bom').checked,
+                orientation: element.querySelector('.wink-export-orientation').value,
+                filename: element.querySelector('.wink-export-filename').value
+            };
+        },
+
+        /**
+         * Generate PDF content
+         */
+        generatePDF: function(data, columns, options) {
+            return buildPdf(data, columns, options);
+        },
+
+        /**
+         * Get the title printed on exported documents
+         */
+        getExportTitle: function() {
+            const caption = this.table.querySelector('caption');
+            
+            return this.table.getAttribute('data-title') ||
+                (caption && caption.textContent.trim()) ||
+                document.title ||
+                'Table export';
+        },
+
+        /**
+         * Download file
+         */
+        downloadFile: function(content, filename, format) {
+            const fileType = TableManager.exportFileTypes[format];
+            
+            const blob = new Blob([content], { type: fileType ? fileType.mime : 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            URL.revokeObjectURL(url);
+            WinkViews.Utils.showNotification('Export completed', 'success');
+            
+            return blob;
+        },
+
+        /**
+         * Get current page data
+         */
+        getCurrentPageData: function() {
+            // Remote sources already return a single page, virtual scrolling shows every row
+            if (this.isRemote || this.isVirtual()) {
+                return this.filteredData;
+            }
+            
+            if (this.isGrouped()) {
+                return this.getPageItems().filter(item => !item._group);
+            }
+            
+            const start = (this.currentPage - 1) * this.config.pageSize;
+            const end = start + this.config.pageSize;
+            return this.filteredData.slice(start, end);
+        },
+
+        /**
+         * Get the total number of matching rows across all pages
+         */
+        getTotalItems: function() {
+            if (this.isRemote) return this.totalItems;
+            
+            // Grouped tables page through group headers and expanded rows
+            return this.isGrouped() ? this.getGroupedItems().length : this.filteredData.length;
+        },
+
+        /**
+         * Re-render locally or reload from the remote data source
+         */
+        refresh: function() {
+            return this.isRemote ? this.loadRemoteData() : this.render();
+        },
+
+        /**
+         * Build request parameters for the remote data source
+         */
+        buildRemoteParams: function() {
+            const names = this.dataSource.params;
+            const params = {};
+            
+            params[names.page] = this.currentPage;
+            params[names.pageSize] = this.config.pageSize;
+            
+            // A single key keeps the scalar sort/direction convention, several keys are sent as ordered lists
+            if (this.sortStack.length === 1) {
+                params[names.sort] = this.sortColumn;
+                params[names.direction] = this.sortDirection;
+            } else if (this.sortStack.length > 1) {
+                params[names.sort] = this.sortStack.map(entry => entry.key);
+                params[names.direction] = this.sortStack.map(entry => entry.direction);
+            }
+            
+            if (this.searchQuery) {
+                params[names.search] = this.searchQuery;
+            }
+            
+            if (Object.keys(this.filters).length > 0) {
+                params[names.filters] = this.filters;
+            }
+            
+            // The filter tree is sent as a single JSON document
+            const filterTree = this.getActiveFilterTree();
+            if (filterTree) {
+                params[names.filterTree] = JSON.stringify(filterTree);
+            }
+            
+            return this.dataSource.transformRequest
+                ? this.dataSource.transformRequest(params, this)
+                : params;
+        },
+
+        /**
+         * Load the current page from the remote data source
+         */
+        loadRemoteData: function() {
+            const source = this.dataSource;
+            const params = this.buildRemoteParams();
+            
+            // Cancel any request that is still in flight
+            if (this.remoteController) {
+                this.remoteController.abort();
+            }
+            
+            const controller = window.AbortController ? new AbortController() : null;
+            this.remoteController = controller;
+            
+            const headers = Object.assign({
+                'X-Requested-With': 'XMLHttpRequest',
+                'Accept': 'application/json'
+            }, source.headers);
+            
+            const request = {
+                method: source.method,
+                headers: headers,
+                signal: controller ? controller.signal : undefined
+            };
+            
+            let url = source.url;
+            if (source.method === 'GET') {
+                const query = TableManager.serializeParams(params).toString();
+                if (query) {
+                    url += (url.includes('?') ? '&' : '?') + query;
+                }
+            } else {
+                headers['Content-Type'] = 'application/json';
+                
+                const csrfToken = WinkViews.Utils.getCsrfToken();
+                if (csrfToken) {
+                    headers['X-CSRF-TOKEN'] = csrfToken;
+                }
+                
+                request.body = JSON.stringify(params);
+            }
+            
+            this.tableContainer.classList.add('wink-table-loading');
+            this.table.setAttribute('aria-busy', 'true');
+            
+            return fetch(url, request)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    return response.json();
+                })
+                .then(json => {
+                    const result = this.parseRemoteResponse(json);
+                    
+                    this.setRemoteRows(result.rows);
+                    this.remoteAggregates = result.aggregates;
+                    
+                    if (result.page) {
+                        this.currentPage = result.page;
+                    }
+                    
+                    // Simple and cursor paginators give no total, only links to the previous and next page
+                    this.remoteLinks = result.total === null ? result.links : null;
+                    this.totalItems = result.total !== null
+                        ? result.total
+                        : (this.currentPage - 1) * this.config.pageSize + result.rows.length;
+                    
+                    this.render();
+                    
+                    this.table.dispatchEvent(new CustomEvent('wink:table:dataLoaded', {
+                        detail: { response: json, rows: this.data, total: this.totalItems, table: this }
+                    }));
+                })
+                .catch(error => {
+                    if (error.name === 'AbortError') return;
+                    
+                    console.error('Table data load error:', error);
+                    WinkViews.Utils.showNotification('Failed to load table data. Please try again.', 'error');
+                })
+                .finally(() => {
+                    if (this.remoteController === controller) {
+                        this.remoteController = null;
+                        this.tableContainer.classList.remove('wink-table-loading');
+                        this.table.removeAttribute('aria-busy');
+                    }
+                });
+        },
+
+        /**
+         * Normalize a remote response into rows, total, page links and footer aggregates.
+         * Understands Laravel paginator and API resource collection JSON; total is null when
+         * a simple paginator leaves it out. Totals over all matching rows are read from
+         * meta.aggregates, keyed by column.
+         */
+        parseRemoteResponse: function(json) {
+            if (this.dataSource.transformResponse) {
+                return Object.assign(
+                    { rows: [], total: 0, page: null, links: null, aggregates: null },
+                    this.dataSource.transformResponse(json, this)
+                );
+            }
+            
+            const rows = Array.isArray(json) ? json : (json.data || []);
+            const meta = json.meta || json;
+            
+            // Resource collections have a links object, plain paginators next_page_url and prev_page_url
+            const links = json.links && !Array.isArray(json.links) ? json.links : json;
+            const next = links.next !== undefined ? links.next : links.next_page_url;
+            const prev = links.prev !== undefined ? links.prev : links.prev_page_url;
+            
+            return {
+                rows: rows,
+                total: meta.total !== undefined && meta.total !== null ? parseInt(meta.total) : null,
+                page: meta.current_page ? parseInt(meta.current_page) : null,
+                links: next !== undefined || prev !== undefined ? { next: next || null, prev: prev || null } : null,
+                aggregates: meta.aggregates || null
+            };
+        },
+
+        /**
+         * Replace table data with records returned by the remote data source
+         */
+        setRemoteRows: function(records) {
+            // Selected rows from the previous page are kept by ID so selection survives paging.
+            // Rows without an ID cannot be recognised on a later page and are deselected.
+            this.getSelectedRows().forEach(row => {
+                const key = this.getSelectionKey(row);
+                if (key !== null) {
+                    this.retainedSelection.set(key, row);
+                }
+            });
+            this.selectedRows.clear();
+            
+            this.data = records.map((record, rowIndex) => {
+                const rowData = { _index: rowIndex, _id: record[this.config.primaryKey], _record: record };
+                
+                this.columns.forEach(column => {
+                    rowData[column.key] = this.parseCellValue(column, this.getRecordValue(record, column.key));
+                });
+                
+                rowData._element = this.createRowElement(rowData);
+                return rowData;
+            });
+            
+            this.data.forEach(row => {
+                const key = this.getSelectionKey(row);
+                if (key !== null && this.retainedSelection.has(key)) {
+                    this.retainedSelection.delete(key);
+                    this.selectedRows.add(row._index);
+                } else if (this.allMatchingSelected) {
+                    this.selectedRows.add(row._index);
+                }
+            });
+            
+            this.filteredData = [...this.data];
+            this.updateBulkActions();
+        },
+
+        /**
+         * Read a (possibly dot-notated) key from a record
+         */
+        getRecordValue: function(record, key) {
+            if (key in record) return record[key];
+            
+            return key.split('.').reduce((value, part) => {
+                return value !== null && value !== undefined ? value[part] : undefined;
+            }, record);
+        },
+
+        /**
+         * Build a table row element for a record
+         */
+        createRowElement: function(rowData) {
+            const row = document.createElement('tr');
+            
+            if (rowData._id !== undefined) {
+                row.setAttribute('data-id', rowData._id);
+            }
+            
+            this.columns.forEach(column => {
+                const cell = document.createElement('td');
+                const value = this.getRecordValue(rowData._record, column.key);
+                
+                if (column.html) {
+                    cell.innerHTML = value === null || value === undefined ? '' : value;
+                } else {
+                    this.renderCell(cell, column, value);
+                }
+                
+                this.decorateCell(cell, column);
+                row.appendChild(cell);
+            });
+            
+            this.attachRowCheckbox(row, rowData._index);
+            this.attachDetailToggle(row);
+            return row;
+        },
+
+        /**
+         * Format a raw record value for display
+         */
+        formatCellValue: function(column, value) {
+            if (value === null || value === undefined || value === '') return '';
+            
+            return TableManager.getColumnType(column.type).format(value, column);
+        },
+
+        /**
+         * Fill a cell with a value's display text, letting the column type render it
+         */
+        renderCell: function(cell, column, value) {
+            const type = TableManager.getColumnType(column.type);
+            
+            cell.textContent = this.getDisplayValue(column, value);
+            if (type.render && value !== null && value !== undefined && value !== '') {
+                type.render(cell, this.parseCellValue(column, value), column);
+            }
+        },
+
+        /**
+         * Render table content
+         */
+        render: function() {
+            this.renderTable();
+            this.renderDetailRows();
+            this.renderPagination();
+            this.renderAggregates();
+            this.applyFrozenColumns();
+            this.updateRowSelection();
+            this.updateGridTabStops();
+            this.updateUrl();
+        },
+
+        /**
+         * Render table body
+         */
+        renderTable: function() {
+            const tbody = this.table.querySelector('tbody');
+            if (!tbody) return;
+            
+            const currentData = this.getPageItems();
+            
+            if (this.isRemote) {
+                const fragment = document.createDocumentFragment();
+                currentData.forEach(item => {
+                    fragment.appendChild(item._group ? this.createGroupRow(item._group) : item._element);
+                });
+                
+                if (!currentData.length) {
+                    fragment.appendChild(this.createEmptyRow());
+                }
+                
+                tbody.innerHTML = '';
+                tbody.appendChild(fragment);
+                return;
+            }
+            
+            if (this.isVirtual()) {
+                this.renderVirtualTable(tbody);
+                return;
+            }
+            
+            if (this.virtualActive) {
+                this.exitVirtualMode(tbody);
+            }
+            
+            // Group rows are rebuilt on every render
+            tbody.querySelectorAll('.wink-group-row').forEach(row => row.remove());
+            
+            const rows = tbody.querySelectorAll('tr');
+            
+            // Hide all rows first
+            rows.forEach(row => row.style.display = 'none');
+            
+            // Show current page rows in sorted order
+            currentData.forEach(item => {
+                const row = item._group ? this.createGroupRow(item._group) : item._element;
+                if (row) {
                     row.style.display = '';
+                    tbody.appendChild(row);
+                }
+            });
+        },
+
+        /**
+         * Check whether the windowed renderer should be used
+         */
+        isVirtual: function() {
+            if (!this.config.enableVirtualScroll || this.isRemote || this.filteredData.length <= this.config.virtualScrollThreshold) {
+                return false;
+            }
+            
+            const reason = (this.isGrouped() && 'row grouping') || (this.cardLayout && 'the card layout') ||
+                (this.hasDetails() && 'detail rows');
+            
+            if (reason) {
+                if (!this.virtualWarnings.has(reason)) {
+                    this.virtualWarnings.add(reason);
+                    console.warn(`Virtual scrolling is off: rows do not share one height with ${reason}.`);
+                }
+                return false;
+            }
+            
+            return true;
+        },
+
+        /**
+         * Rebuild the virtual window after the data set changed
+         */
+        renderVirtualTable: function(tbody) {
+            if (!this.virtualActive) {
+                this.virtualActive = true;
+                this.tableContainer.classList.add('wink-table-virtual');
+                this.tableContainer.style.maxHeight = this.config.virtualScrollHeight + 'px';
+                this.tableContainer.setAttribute('tabindex', '-1');
+            }
+            
+            // Remember which row held keyboard focus so it can be restored
+            const focusedRow = this.findFocusedRow();
+            if (focusedRow) {
+                this.virtualFocus = { row: focusedRow, element: document.activeElement };
+            }
+            
+            this.table.setAttribute('aria-rowcount', this.filteredData.length + 1);
+            
+            this.virtualTopSpacer = this.createSpacerRow();
+            this.virtualBottomSpacer = this.createSpacerRow();
+            
+            tbody.innerHTML = '';
+            tbody.appendChild(this.virtualTopSpacer);
+            tbody.appendChild(this.virtualBottomSpacer);
+            
+            this.virtualRange = { start: 0, end: 0 };
+            this.updateVirtualWindow();
+        },
+
+        /**
+         * Render only the rows inside the scroll viewport plus a buffer
+         */
+        updateVirtualWindow: function() {
+            const total = this.filteredData.length;
+            const rowHeight = this.virtualRowHeight || this.config.virtualRowHeight;
+            const thead = this.table.querySelector('thead');
+            const headerHeight = thead ? thead.offsetHeight : 0;
+            const viewport = this.tableContainer.clientHeight || this.config.virtualScrollHeight;
+            const scrollTop = Math.max(0, this.tableContainer.scrollTop - headerHeight);
+            const buffer = this.config.virtualBuffer;
+            
+            const start = Math.max(0, Math.floor(scrollTop / rowHeight) - buffer);
+            const end = Math.min(total, Math.ceil((scrollTop + viewport) / rowHeight) + buffer);
+            const previous = this.virtualRange;
+            
+            if (start === previous.start && end === previous.end) return;
+            
+            // Drop rows that scrolled out of the window
+            for (let i = previous.start; i < previous.end; i++) {
+                if (i < start || i >= end) {
+                    this.detachVirtualRow(this.filteredData[i]);
+                }
+            }
+            
+            // Insert rows that scrolled in, leaving rows already rendered in place
+            const keptStart = Math.max(start, previous.start);
+            const keptEnd = Math.min(end, previous.end);
+            
+            if (keptStart < keptEnd) {
+                const anchor = this.filteredData[keptStart]._element;
+                for (let i = start; i < keptStart; i++) {
+                    this.attachVirtualRow(i, anchor);
+                }
+                for (let i = keptEnd; i < end; i++) {
+                    this.attachVirtualRow(i, this.virtualBottomSpacer);
+                }
+            } else {
+                for (let i = start; i < end; i++) {
+                    this.attachVirtualRow(i, this.virtualBottomSpacer);
+                }
+            }
+            
+            // Measure the real row height once rows are on screen
+            if (!this.virtualRowHeight && end > start) {
+                this.virtualRowHeight = this.filteredData[start]._element.offsetHeight;
+            }
+            
+            this.virtualTopSpacer.firstChild.style.height = (start * rowHeight) + 'px';
+            this.virtualBottomSpacer.firstChild.style.height = ((total - end) * rowHeight) + 'px';
+            this.virtualRange = { start, end };
+            this.applyFrozenColumns();
+            this.updateGridTabStops();
+        },
+
+        /**
+         * Insert a row into the virtual window
+         */
+        attachVirtualRow: function(position, before) {
+            const rowData = this.filteredData[position];
+            const row = rowData._element;
+            const checkbox = row.querySelector('.wink-select-row');
+            
+            if (checkbox) {
+                checkbox.checked = this.selectedRows.has(rowData._index);
+            }
+            
+            row.style.display = '';
+            row.setAttribute('aria-rowindex', position + 2);
+            before.parentNode.insertBefore(row, before);
+            
+            if (this.virtualFocus && this.virtualFocus.row === rowData) {
+                this.virtualFocus.element.focus({ preventScroll: true });
+                this.virtualFocus = null;
+            }
+        },
+
+        /**
+         * Remove a row from the virtual window, parking keyboard focus on the container
+         */
+        detachVirtualRow: function(rowData) {
+            const row = rowData._element;
+            
+            if (row.contains(document.activeElement)) {
+                this.virtualFocus = { row: rowData, element: document.activeElement };
+                this.tableContainer.focus({ preventScroll: true });
+            }
+            
+            row.remove();
+        },
+
+        /**
+         * Find the data row containing the focused element
+         */
+        findFocusedRow: function() {
+            const active = document.activeElement;
+            if (!active || !this.table.contains(active)) return null;
+            
+            return this.getRowData(active.closest('tr'));
+        },
+
+        /**
+         * Create a spacer row that stands in for rows outside the window
+         */
+        createSpacerRow: function() {
+            const row = document.createElement('tr');
+            row.className = 'wink-virtual-spacer';
+            row.setAttribute('aria-hidden', 'true');
+            row.innerHTML = `<td colspan="${this.getVisibleColumns().length + 1}"></td>`;
+            
+            return row;
+        },
+
+        /**
+         * Restore every row to the DOM when leaving virtual mode
+         */
+        exitVirtualMode: function(tbody) {
+            this.virtualActive = false;
+            this.virtualRange = null;
+            this.virtualFocus = null;
+            this.tableContainer.classList.remove('wink-table-virtual');
+            this.tableContainer.style.maxHeight = '';
+            this.tableContainer.removeAttribute('tabindex');
+            this.table.removeAttribute('aria-rowcount');
+            
+            tbody.innerHTML = '';
+            this.data.forEach(rowData => {
+                rowData._element.removeAttribute('aria-rowindex');
+                tbody.appendChild(rowData._element);
+            });
+        },
+
+        /**
+         * Create the placeholder row shown when there is no data
+         */
+        createEmptyRow: function() {
+            const row = document.createElement('tr');
+            row.className = 'wink-table-empty-row';
+            row.innerHTML = `<td class="wink-table-empty" colspan="${this.getVisibleColumns().length + 1}"></td>`;
+            row.firstChild.textContent = this.config.emptyMessage;
+            
+            return row;
+        },
+
+        /**
+         * Render pagination
+         */
+        renderPagination: function() {
+            const totalItems = this.getTotalItems();
+            const totalPages = Math.ceil(totalItems / this.config.pageSize);
+            
+            const pagination = this.paginationContainer;
+            
+            if (this.isVirtual()) {
+                pagination.innerHTML = `<div class="wink-pagination-info">Showing all ${totalItems} entries</div>`;
+                return;
+            }
+            
+            const pageSizeSelect = `
+                <div class="wink-pagination-size">
+                    <select class="wink-page-size-select">
+                        ${this.config.pageSizes.map(size => 
+                            `<option value="${size}" ${size === this.config.pageSize ? 'selected' : ''}>${size} per page</option>`
+                        ).join('')}
+                    </select>
+                </div>
+            `;
+            
+            // Without a total only the previous and next links can be followed
+            if (this.isRemote && this.remoteLinks) {
+                pagination.innerHTML = `
+                    <div class="wink-pagination-info">
+                        Showing ${Math.min((this.currentPage - 1) * this.config.pageSize + 1, totalItems)} to ${totalItems}
+                    </div>
+                    <div class="wink-pagination-controls">
+                        <button type="button" class="wink-btn wink-btn-sm wink-page-btn" data-page="${this.currentPage - 1}" ${this.remoteLinks.prev ? '' : 'disabled'}>
+                            Previous
+                        </button>
+                        <button type="button" class="wink-btn wink-btn-sm wink-page-btn" data-page="${this.currentPage + 1}" ${this.remoteLinks.next ? '' : 'disabled'}>
+                            Next
+                        </button>
+                    </div>
+                    ${pageSizeSelect}
+                `;
+                return;
+            }
+            
+            pagination.innerHTML = `
+                <div class="wink-pagination-info">
+                    Showing ${Math.min((this.currentPage - 1) * this.config.pageSize + 1, totalItems)} to 
+                    ${Math.min(this.currentPage * this.config.pageSize, totalItems)} of ${totalItems} entries
+                </div>
+                <div class="wink-pagination-controls">
+                    <button type="button" class="wink-btn wink-btn-sm wink-page-btn" data-page="1" ${this.currentPage === 1 ? 'disabled' : ''}>
+                        First
+                    </button>
+                    <button type="button" class="wink-btn wink-btn-sm wink-page-btn" data-page="${this.currentPage - 1}" ${this.currentPage === 1 ? 'disabled' : ''}>
+                        Previous
+                    </button>
+                    
+                    <span class="wink-page-numbers">
+                        ${this.generatePageNumbers(totalPages)}
+                    </span>
+                    
+                    <button type="button" class="wink-btn wink-btn-sm wink-page-btn" data-page="${this.currentPage + 1}" ${this.currentPage === totalPages ? 'disabled' : ''}>
+                        Next
+                    </button>
+                    <button type="button" class="wink-btn wink-btn-sm wink-page-btn" data-page="${totalPages}" ${this.currentPage === totalPages ? 'disabled' : ''}>
+                        Last
+                    </button>
+                </div>
+                ${pageSizeSelect}
+            `;
+        },
+
+        /**
+         * Generate page numbers for pagination
+         */
+        generatePageNumbers: function(totalPages) {
+            const current = this.currentPage;
+            const delta = 2; // Number of pages to show around current page
+            
+            let start = Math.max(1, current - delta);
+            let end = Math.min(totalPages, current + delta);
+            
+            let pages = [];
+            
+            // Add first page and ellipsis if needed
+            if (start > 1) {
+                pages.push(1);
+                if (start > 2) pages.push('...');
+            }
+            
+            // Add pages around current
+            for (let i = start; i <= end; i++) {
+                pages.push(i);
+            }
+            
+            // Add last page and ellipsis if needed
+            if (end < totalPages) {
+                if (end < totalPages - 1) pages.push('...');
+                pages.push(totalPages);
+            }
+            
+            return pages.map(page => {
+                if (page === '...') {
+                    return '<span class="wink-page-ellipsis">...</span>';
+                } else {
+                    const isActive = page === current;
+                    return `<button type="button" class="wink-btn wink-btn-sm wink-page-btn ${isActive ? 'active' : ''}" data-page="${page}">${page}</button>`;
+                }
+            }).join('');
+        },
+
+        /**
+         * Go to specific page
+         */
+        goToPage: function(page) {
+            let totalPages = Math.ceil(this.getTotalItems() / this.config.pageSize);
+            
+            // A next page link allows one page past the rows seen so far
+            if (this.isRemote && this.remoteLinks && this.remoteLinks.next) {
+                totalPages = Math.max(totalPages, this.currentPage + 1);
+            }
+            
+            if (page >= 1 && page <= totalPages) {
+                this.currentPage = page;
+                this.saveState();
+                return this.refresh();
+            }
+        },
+
+        /**
+         * Save table state to localStorage
+         */
+        saveState: function() {
+            if (!this.config.persistState) return;
+            
+            const state = {
+                sortColumn: this.sortColumn,
+                sortDirection: this.sortDirection,
+                sortStack: this.sortStack,
+                pageSize: this.config.pageSize,
+                filters: this.filters,
+                filterTree: this.filterTree,
+                columnWidths: this.columns.map(col => ({ key: col.key, width: col.width })),
+                columnOrder: this.getColumnOrder(),
+                columnVisibility: this.columns.reduce((visibility, col) => {
+                    visibility[col.key] = col.visible;
+                    return visibility;
+                }, {}),
+                columnFrozen: this.columns.reduce((frozen, col) => {
+                    frozen[col.key] = col.frozen;
+                    return frozen;
+                }, {}),
+                groupBy: this.groupBy,
+                collapsedGroups: Array.from(this.collapsedGroups),
+                aggregateScope: this.aggregateScope
+            };
+            
+            localStorage.setItem(`wink-table-${this.table.id}`, JSON.stringify(state));
+        },
+
+        /**
+         * Load table state from localStorage
+         */
+        loadState: function() {
+            if (!this.config.persistState) return;
+            
+            const saved = localStorage.getItem(`wink-table-${this.table.id}`);
+            if (saved) {
+                try {
+                    const state = JSON.parse(saved);
+                    
+                    this.sortStack = state.sortStack ||
+                        (state.sortColumn ? [{ key: state.sortColumn, direction: state.sortDirection || 'asc' }] : []);
+                    this.syncSortColumn();
+                    this.config.pageSize = state.pageSize || this.config.pageSize;
+                    this.filters = state.filters || {};
+                    this.syncFilterInputs();
+                    
+                    // A malformed saved tree is ignored rather than breaking initialisation
+                    const filterTree = this.normalizeFilterTree(state.filterTree);
+                    if (filterTree) {
+                        this.filterTree = filterTree;
+                        this.renderFilterBuilder();
+                    }
+                    
+                    // Restore column widths
+                    if (state.columnWidths) {
+                        state.columnWidths.forEach(col => {
+                            const column = this.columns.find(c => c.key === col.key);
+                            if (column && col.width !== 'auto') {
+                                column.width = col.width;
+                                column.element.style.width = col.width;
+                            }
+                        });
+                    }
+                    
+                    // Restore column order
+                    if (state.columnOrder && this.config.enableColumnReorder) {
+                        this.setColumnOrder(state.columnOrder);
+                    }
+                    
+                    // Restore pinned columns
+                    if (state.columnFrozen) {
+                        this.columns.forEach(column => {
+                            if (column.key in state.columnFrozen) {
+                                column.frozen = this.parseFrozen(state.columnFrozen[column.key]);
+                            }
+                        });
+                    }
+                    
+                    // Restore grouping and collapsed groups
+                    if (Array.isArray(state.groupBy)) {
+                        this.groupBy = state.groupBy.filter(key => this.columns.some(col => col.key === key));
+                    }
+                    this.collapsedGroups = new Set(state.collapsedGroups || []);
+                    
+                    if (state.aggregateScope) {
+                        this.aggregateScope = state.aggregateScope;
+                    }
+                    
+                    // Restore column visibility
+                    if (state.columnVisibility) {
+                        this.columns.forEach(column => {
+                            if (typeof state.columnVisibility[column.key] === 'boolean') {
+                                column.visible = state.columnVisibility[column.key];
+                            }
+                        });
+                        
+                        if (!this.getVisibleColumns().length) {
+                            this.columns.forEach(column => {
+                                column.visible = column.defaultVisible;
+                            });
+                        }
+                        
+                        this.applyColumnVisibility();
+                    }
+                    
+                    // Apply loaded state
+                    if (this.sortColumn) {
+                        this.updateSortIndicators();
+                    }
+                    
+                    if ((Object.keys(this.filters).length > 0 || this.getActiveFilterTree()) && !this.isRemote) {
+                        this.applyDataFilters();
+                    }
+                    
+                    if (!this.isRemote) {
+                        this.sortData();
+                    }
+                } catch (e) {
+                    console.warn('Failed to load table state:', e);
+                }
+            }
+        },
+
+        /**
+         * Setup the saved views menu and apply the default view
+         */
+        setupViews: function() {
+            if (!this.config.savedViews) return;
+            
+            const container = this.toolbar.querySelector('.wink-table-views');
+            const toggle = container.querySelector('.wink-views-toggle');
+            const menu = container.querySelector('.wink-views-menu');
+            const fileInput = container.querySelector('.wink-views-file');
+            
+            container.style.display = '';
+            
+            const close = () => {
+                menu.style.display = 'none';
+                toggle.setAttribute('aria-expanded', 'false');
+            };
+            
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                
+                if (menu.style.display === 'block') {
+                    close();
+                } else {
+                    this.closeToolbarMenus();
+                    this.renderViewsMenu();
+                    menu.style.display = 'block';
+                    toggle.setAttribute('aria-expanded', 'true');
+                }
+            });
+            
+            this.addGlobalListener(document, 'click', close);
+            
+            menu.addEventListener('click', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                
+                const item = e.target.closest('[data-view-id], [data-action]');
+                if (!item) return;
+                
+                close();
+                
+                if (item.hasAttribute('data-view-id')) {
+                    this.applyView(item.getAttribute('data-view-id'));
+                    return;
+                }
+                
+                switch (item.getAttribute('data-action')) {
+                    case 'save':
+                        this.promptViewName('Save view', '').then(name => name && this.saveView(name));
+                        break;
+                    case 'update':
+                        this.updateView(this.activeView);
+                        break;
+                    case 'rename':
+                        this.promptViewName('Rename view', this.getView(this.activeView).name)
+                            .then(name => name && this.renameView(this.activeView, name));
+                        break;
+                    case 'default':
+                        this.setDefaultView(this.getView(this.activeView).default ? null : this.activeView);
+                        break;
+                    case 'delete':
+                        WinkViews.ModalManager.confirm('Delete the current view?', {
+                            title: 'Delete view',
+                            confirmText: 'Delete',
+                            confirmClass: 'wink-btn-danger'
+                        }).then(confirmed => confirmed && this.deleteView(this.activeView));
+                        break;
+                    case 'export':
+                        this.exportViews();
+                        break;
+                    case 'import':
+                        fileInput.click();
+                        break;
+                }
+            });
+            
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                
+                file.text()
+                    .then(text => this.importViews(JSON.parse(text)))
+                    .then(count => WinkViews.Utils.showNotification(`${count} view${count === 1 ? '' : 's'} imported`, count ? 'success' : 'warning'))
+                    .catch(() => WinkViews.Utils.showNotification('The file does not contain saved views', 'error'));
+            });
+            
+            this.views = this.loadStoredViews();
+            
+            // Shared links take precedence over the default view
+            const applyDefault = !(this.config.syncUrl && this.hasUrlState());
+            const defaultView = this.views.find(view => view.default);
+            if (applyDefault && defaultView) {
+                this.applyViewState(defaultView.state);
+                this.activeView = defaultView.id;
+                
+                if (!this.isRemote) {
+                    this.applyDataFilters();
+                    this.sortData();
+                }
+            }
+            this.updateViewsLabel();
+            
+            if (this.config.viewsUrl) {
+                this.fetchViews().then(() => {
+                    const serverDefault = this.views.find(view => view.default);
+                    if (applyDefault && !this.activeView && serverDefault) {
+                        this.applyView(serverDefault.id);
+                    }
+                });
+            }
+        },
+
+        /**
+         * Render the saved views menu
+         */
+        renderViewsMenu: function() {
+            const menu = this.toolbar.querySelector('.wink-views-menu');
+            const active = this.getView(this.activeView);
+            
+            menu.innerHTML = `
+                ${this.views.length ? this.views.map(view => `
+                    <a href="#" class="wink-dropdown-item wink-view-item ${view.id === this.activeView ? 'active' : ''}">
+                        <span class="wink-view-name"></span>
+                        ${view.default ? '<span class="wink-view-default">Default</span>' : ''}
+                    </a>
+                `).join('') : '<span class="wink-dropdown-item wink-views-empty">No saved views</span>'}
+                <div class="wink-dropdown-divider"></div>
+                <a href="#" class="wink-dropdown-item" data-action="save">Save current view...</a>
+                ${active ? `
+                    <a href="#" class="wink-dropdown-item" data-action="update">Update current view</a>
+                    <a href="#" class="wink-dropdown-item" data-action="rename">Rename...</a>
+                    <a href="#" class="wink-dropdown-item" data-action="default">${active.default ? 'Remove as default' : 'Make default'}</a>
+                    <a href="#" class="wink-dropdown-item" data-action="delete">Delete view</a>
+                ` : ''}
+                <div class="wink-dropdown-divider"></div>
+                <a href="#" class="wink-dropdown-item" data-action="export">Export views</a>
+                <a href="#" class="wink-dropdown-item" data-action="import">Import views...</a>
+            `;
+            
+            menu.querySelectorAll('.wink-view-item').forEach((item, index) => {
+                item.setAttribute('data-view-id', this.views[index].id);
+                item.querySelector('.wink-view-name').textContent = this.views[index].name;
+                
+                if (this.views[index].id === this.activeView) {
+                    item.setAttribute('aria-current', 'true');
+                }
+            });
+        },
+
+        /**
+         * Ask for a view name
+         */
+        promptViewName: function(title, value) {
+            return new Promise((resolve) => {
+                const id = WinkViews.Utils.generateId();
+                const modal = WinkViews.ModalManager.create({
+                    title: title,
+                    size: 'sm',
+                    content: `
+                        <div class="wink-form-group">
+                            <label for="${id}">Name</label>
+                            <input type="text" id="${id}" class="wink-form-control" maxlength="100">
+                        </div>
+                    `,
+                    footer: `
+                        <button type="button" class="wink-btn wink-btn-secondary" data-action="cancel">Cancel</button>
+                        <button type="button" class="wink-btn wink-btn-primary" data-action="ok">Save</button>
+                    `,
+                    onAction: (action) => {
+                        const name = modal.element.querySelector('input').value.trim();
+                        if (action === 'ok' && !name) return;
+                        
+                        modal.hide();
+                        resolve(action === 'ok' ? name : null);
+                    },
+                    onHide: () => {
+                        resolve(null);
+                        modal.destroy();
+                    }
+                });
+                
+                const input = modal.element.querySelector('input');
+                input.value = value;
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        modal.element.querySelector('[data-action="ok"]').click();
+                    }
+                });
+                
+                modal.show();
+                input.focus();
+            });
+        },
+
+        /**
+         * Get a saved view by id
+         */
+        getView: function(id) {
+            if (id === null || id === undefined) return null;
+            
+            // Menu attributes are strings while server ids are usually numbers
+            return this.views.find(view => String(view.id) === String(id)) || null;
+        },
+
+        /**
+         * Capture sort, filters, search, columns and page size as view state
+         */
+        getViewState: function() {
+            return JSON.parse(JSON.stringify({
+                sort: this.sortStack,
+                filters: this.filters,
+                filterTree: this.filterTree,
+                search: this.searchQuery,
+                columns: this.getColumnOrder()
+                    .map(key => this.columns.find(column => column.key === key))
+                    .map(column => ({ key: column.key, visible: column.visible, width: column.width })),
+                pageSize: this.config.pageSize
+            }));
+        },
+
+        /**
+         * Replace the table state with a view's state, without rendering
+         */
+        applyViewState: function(state) {
+            const columns = Array.isArray(state.columns) ? state.columns : [];
+            
+            this.sortStack = (Array.isArray(state.sort) ? state.sort : [])
+                .filter(entry => entry && this.columns.some(col => col.key === entry.key && col.sortable))
+                .map(entry => ({ key: entry.key, direction: entry.direction === 'desc' ? 'desc' : 'asc' }))
+                .slice(0, this.config.maxSortColumns);
+            this.syncSortColumn();
+            this.updateSortIndicators();
+            
+            this.filters = Object.assign({}, state.filters);
+            this.syncFilterInputs();
+            
+            this.filterTree = this.normalizeFilterTree(state.filterTree) || { logic: 'and', conditions: [] };
+            this.renderFilterBuilder();
+            
+            this.searchQuery = typeof state.search === 'string' ? state.search : '';
+            const searchInput = this.toolbar.querySelector('.wink-table-search-input');
+            if (searchInput) {
+                searchInput.value = this.searchQuery;
+            }
+            
+            if (this.config.enableColumnReorder) {
+                this.setColumnOrder(columns.length
+                    ? columns.map(column => column.key)
+                    : this.columns.slice().sort((a, b) => a.index - b.index).map(column => column.key));
+            }
+            
+            // Columns the view does not mention fall back to the markup defaults
+            this.columns.forEach(column => {
+                const saved = columns.find(entry => entry.key === column.key) || {};
+                column.visible = typeof saved.visible === 'boolean' ? saved.visible : column.defaultVisible;
+                column.width = saved.width || column.defaultWidth;
+                column.element.style.width = column.width === 'auto' ? '' : column.width;
+            });
+            
+            if (!this.getVisibleColumns().length) {
+                this.columns.forEach(column => {
+                    column.visible = column.defaultVisible;
+                });
+            }
+            
+            this.applyColumnVisibility();
+            this.renderColumnMenu();
+            
+            this.config.pageSize = parseInt(state.pageSize, 10) || this.defaultPageSize;
+            this.currentPage = 1;
+            this.allMatchingSelected = false;
+            this.saveState();
+        },
+
+        /**
+         * Switch to a saved view
+         */
+        applyView: function(id) {
+            const view = this.getView(id);
+            if (!view) return;
+            
+            this.applyViewState(view.state);
+            this.activeView = view.id;
+            this.updateViewsLabel();
+            
+            this.table.dispatchEvent(new CustomEvent('wink:table:viewApplied', {
+                detail: { view: view, table: this }
+            }));
+            WinkViews.A11y.announceChange(`View ${view.name} applied`);
+            
+            if (this.isRemote) {
+                return this.loadRemoteData();
+            }
+            
+            this.applyDataFilters();
+            this.sortData();
+            this.render();
+        },
+
+        /**
+         * Save the current table state as a new named view
+         */
+        saveView: function(name) {
+            const view = {
+                id: WinkViews.Utils.generateId(),
+                name: name,
+                default: false,
+                state: this.getViewState(),
+                unsynced: !!this.config.viewsUrl
+            };
+            
+            this.views.push(view);
+            this.activeView = view.id;
+            this.onViewsChange('viewSaved', view);
+            this.syncView(view);
+            
+            return view;
+        },
+
+        /**
+         * Overwrite a view with the current table state
+         */
+        updateView: function(id) {
+            const view = this.getView(id);
+            if (!view) return;
+            
+            view.state = this.getViewState();
+            this.onViewsChange('viewSaved', view);
+            this.syncView(view);
+        },
+
+        /**
+         * Rename a view
+         */
+        renameView: function(id, name) {
+            const view = this.getView(id);
+            if (!view) return;
+            
+            view.name = name;
+            this.onViewsChange('viewSaved', view);
+            this.syncView(view);
+        },
+
+        /**
+         * Make a view the default, or clear the default with null
+         */
+        setDefaultView: function(id) {
+            this.views.forEach(view => {
+                const isDefault = id !== null && id !== undefined && String(view.id) === String(id);
+                if (view.default !== isDefault) {
+                    view.default = isDefault;
+                    this.syncView(view);
+                }
+            });
+            
+            this.onViewsChange('defaultViewChanged', this.getView(id));
+        },
+
+        /**
+         * Delete a view
+         */
+        deleteView: function(id) {
+            const view = this.getView(id);
+            if (!view) return;
+            
+            this.views = this.views.filter(entry => entry !== view);
+            if (this.activeView === view.id) {
+                this.activeView = null;
+            }
+            
+            this.onViewsChange('viewDeleted', view);
+            
+            if (this.config.viewsUrl && !view.unsynced) {
+                this.requestViews('DELETE', view.id).catch(() => {
+                    WinkViews.Utils.showNotification('The view could not be deleted on the server', 'error');
+                });
+            }
+        },
+
+        /**
+         * Store views, refresh the toolbar and dispatch a view event
+         */
+        onViewsChange: function(eventName, view) {
+            this.storeViews();
+            this.updateViewsLabel();
+            
+            this.table.dispatchEvent(new CustomEvent(`wink:table:${eventName}`, {
+                detail: { view: view, views: this.views, table: this }
+            }));
+        },
+
+        /**
+         * Show the active view's name on the views button
+         */
+        updateViewsLabel: function() {
+            const label = this.toolbar.querySelector('.wink-views-label');
+            const active = this.getView(this.activeView);
+            
+            label.textContent = active ? active.name : 'Views';
+        },
+
+        /**
+         * Read saved views from localStorage
+         */
+        loadStoredViews: function() {
+            try {
+                const views = JSON.parse(localStorage.getItem(`wink-table-${this.table.id}-views`));
+                return Array.isArray(views)
+                    ? views.filter(view => this.isValidView(view)).map(view => Object.assign(view, { id: String(view.id) }))
+                    : [];
+            } catch (e) {
+                console.warn('Failed to load saved views:', e);
+                return [];
+            }
+        },
+
+        /**
+         * Write saved views to localStorage
+         */
+        storeViews: function() {
+            localStorage.setItem(`wink-table-${this.table.id}-views`, JSON.stringify(this.views));
+        },
+
+        /**
+         * Check that a view has an id, a name and a state object with a well-formed filter tree
+         */
+        isValidView: function(view) {
+            return !!view && view.id !== undefined && typeof view.name === 'string' && view.name.trim() !== '' &&
+                !!view.state && typeof view.state === 'object' &&
+                (!view.state.filterTree || !!this.normalizeFilterTree(view.state.filterTree));
+        },
+
+        /**
+         * Download the saved views as JSON
+         */
+        exportViews: function() {
+            const views = this.views.map(view => ({ name: view.name, default: view.default, state: view.state }));
+            const content = JSON.stringify({ table: this.table.id, views: views }, null, 2);
+            
+            return this.downloadFile(content, `${this.table.id}-views.json`, 'json');
+        },
+
+        /**
+         * Add views from an exported JSON document, returning how many were added
+         */
+        importViews: function(data) {
+            const views = (Array.isArray(data) ? data : data && data.views) || [];
+            const imported = views
+                .map(view => Object.assign({}, view, { id: WinkViews.Utils.generateId() }))
+                .filter(view => this.isValidView(view))
+                .map(view => ({
+                    id: view.id,
+                    name: view.name.trim(),
+                    // An imported default never replaces the existing one
+                    default: !!view.default && !this.views.some(existing => existing.default),
+                    state: view.state,
+                    unsynced: !!this.config.viewsUrl
+                }));
+            
+            imported.forEach((view, index) => {
+                view.default = view.default && !imported.slice(0, index).some(other => other.default);
+                this.views.push(view);
+                this.syncView(view);
+            });
+            
+            if (imported.length) {
+                this.onViewsChange('viewsImported', null);
+            }
+            
+            return imported.length;
+        },
+
+        /**
+         * Send a saved views request to the views endpoint
+         */
+        requestViews: function(method, id, view) {
+            const url = id === undefined
+                ? this.config.viewsUrl
+                : `${this.config.viewsUrl.replace(/\/$/, '')}/${encodeURIComponent(id)}`;
+            
+            const headers = {
+                'X-Requested-With': 'XMLHttpRequest',
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            };
+            
+            const csrfToken = WinkViews.Utils.getCsrfToken();
+            if (csrfToken) {
+                headers['X-CSRF-TOKEN'] = csrfToken;
+            }
+            
+            return fetch(url, {
+                method: method,
+                headers: headers,
+                body: view ? JSON.stringify({ name: view.name, default: view.default, state: view.state }) : undefined
+            }).then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
                 }
+                
+                return response.status === 204 ? null : response.json();
             });
         },
 
         /**
-         * Render pagination
+         * Load views from the server, keeping local views it has not seen yet
+         */
+        fetchViews: function() {
+            return this.requestViews('GET')
+                .then(payload => {
+                    const views = (Array.isArray(payload) ? payload : payload && payload.data) || [];
+                    const pending = this.views.filter(view => view.unsynced);
+                    
+                    this.views = views
+                        .filter(view => this.isValidView(view))
+                        .map(view => ({ id: String(view.id), name: view.name, default: !!view.default, state: view.state }))
+                        .concat(pending);
+                    
+                    if (this.activeView && !this.getView(this.activeView)) {
+                        this.activeView = null;
+                    }
+                    
+                    this.onViewsChange('viewsLoaded', null);
+                    pending.forEach(view => this.syncView(view));
+                })
+                .catch(error => {
+                    console.warn('Failed to load saved views:', error);
+                });
+        },
+
+        /**
+         * Create or update a view on the server
+         */
+        syncView: function(view) {
+            if (!this.config.viewsUrl) return Promise.resolve(view);
+            
+            const request = view.unsynced
+                ? this.requestViews('POST', undefined, view)
+                : this.requestViews('PUT', view.id, view);
+            
+            return request
+                .then(payload => {
+                    const saved = payload && (payload.data || payload);
+                    
+                    // Adopt the id the server assigned to a new view; ids are compared as strings
+                    if (view.unsynced && saved && saved.id !== undefined) {
+                        if (this.activeView === view.id) {
+                            this.activeView = String(saved.id);
+                        }
+                        view.id = String(saved.id);
+                    }
+                    delete view.unsynced;
+                    
+                    this.storeViews();
+                    return view;
+                })
+                .catch(error => {
+                    console.warn('Failed to sync saved view:', error);
+                    WinkViews.Utils.showNotification('Saved views could not be synced with the server', 'warning');
+                    return view;
+                });
+        },
+
+        /**
+         * Subscribe to row changes by polling or Server-Sent Events
+         */
+        setupLiveUpdates: function() {
+            if (!this.config.liveUrl) return;
+            
+            this.liveCursor = new Date().toISOString();
+            this.toolbar.querySelector('.wink-live-status').style.display = '';
+            this.startLiveUpdates();
+        },
+
+        /**
+         * Start receiving live updates
+         */
+        startLiveUpdates: function() {
+            if (!this.config.liveUrl) return;
+            
+            this.stopLiveUpdates();
+            
+            if (this.config.liveMode === 'sse' && window.EventSource) {
+                this.connectLiveStream();
+            } else {
+                this.scheduleLivePoll();
+            }
+            
+            this.updateLiveStatus();
+        },
+
+        /**
+         * Stop polling and close the event stream
+         */
+        stopLiveUpdates: function() {
+            clearTimeout(this.liveTimer);
+            this.liveTimer = null;
+            
+            if (this.liveSource) {
+                this.liveSource.close();
+                this.liveSource = null;
+            }
+        },
+
+        /**
+         * Build the live updates URL with the current cursor
          */
-        renderPagination: function() {
-            const totalPages = Math.ceil(this.filteredData.length / this.config.pageSize);
-            const totalItems = this.filteredData.length;
+        getLiveUrl: function() {
+            const url = new URL(this.config.liveUrl, window.location.href);
+            url.searchParams.set(this.config.liveCursorParam, this.liveCursor);
             
-            const pagination = this.paginationContainer;
-            pagination.innerHTML = `
-                <div class="wink-pagination-info">
-                    Showing ${Math.min((this.currentPage - 1) * this.config.pageSize + 1, totalItems)} to 
-                    ${Math.min(this.currentPage * this.config.pageSize, totalItems)} of ${totalItems} entries
-                </div>
-                <div class="wink-pagination-controls">
-                    <button type="button" class="wink-btn wink-btn-sm wink-page-btn" data-page="1" ${this.currentPage === 1 ? 'disabled' : ''}>
-                        First
-                    </button>
-                    <button type="button" class="wink-btn wink-btn-sm wink-page-btn" data-page="${this.currentPage - 1}" ${this.currentPage === 1 ? 'disabled' : ''}>
-                        Previous
-                    </button>
+            if (this.liveEventId) {
+                url.searchParams.set(this.config.liveEventIdParam, this.liveEventId);
+            }
+            
+            return url.toString();
+        },
+
+        /**
+         * Poll for changes after the configured interval
+         */
+        scheduleLivePoll: function() {
+            clearTimeout(this.liveTimer);
+            this.liveTimer = setTimeout(() => this.pollLiveUpdates(), this.config.liveInterval);
+        },
+
+        /**
+         * Fetch changes since the cursor. Paused tables skip the poll so the cursor catches up later.
+         */
+        pollLiveUpdates: function() {
+            if (this.isLivePaused() || document.hidden) {
+                this.updateLiveStatus();
+                this.scheduleLivePoll();
+                return Promise.resolve();
+            }
+            
+            const requestedAt = new Date().toISOString();
+            
+            return fetch(this.getLiveUrl(), {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    return response.json();
+                })
+                .then(json => {
+                    const changes = this.normalizeLiveChanges(json);
+                    this.liveCursor = changes.cursor || requestedAt;
+                    this.queueLiveChanges(changes);
+                })
+                .catch(error => {
+                    console.warn('Live update poll failed:', error);
+                })
+                .finally(() => {
+                    if (this.liveTimer !== null) {
+                        this.scheduleLivePoll();
+                    }
+                });
+        },
+
+        /**
+         * Listen for changes on an EventSource. Plain messages carry a change payload,
+         * created/updated/deleted events carry records or ids.
+         */
+        connectLiveStream: function() {
+            const source = new EventSource(this.getLiveUrl(), { withCredentials: true });
+            const receive = (type) => (e) => {
+                try {
+                    const data = JSON.parse(e.data);
+                    const changes = this.normalizeLiveChanges(type ? { [type]: [].concat(data) } : data);
                     
-                    <span class="wink-page-numbers">
-                        ${this.generatePageNumbers(totalPages)}
-                    </span>
+                    // Remember where the stream got to, so a reconnect does not replay older changes
+                    this.liveCursor = changes.cursor || new Date().toISOString();
+                    if (e.lastEventId) {
+                        this.liveEventId = e.lastEventId;
+                    }
                     
-                    <button type="button" class="wink-btn wink-btn-sm wink-page-btn" data-page="${this.currentPage + 1}" ${this.currentPage === totalPages ? 'disabled' : ''}>
-                        Next
-                    </button>
-                    <button type="button" class="wink-btn wink-btn-sm wink-page-btn" data-page="${totalPages}" ${this.currentPage === totalPages ? 'disabled' : ''}>
-                        Last
-                    </button>
-                </div>
-                <div class="wink-pagination-size">
-                    <select class="wink-page-size-select">
-                        ${this.config.pageSizes.map(size => 
-                            `<option value="${size}" ${size === this.config.pageSize ? 'selected' : ''}>${size} per page</option>`
-                        ).join('')}
-                    </select>
-                </div>
-            `;
-            
-            // Add event listeners
-            pagination.addEventListener('click', (e) => {
-                if (e.target.classList.contains('wink-page-btn') && !e.target.disabled) {
-                    const page = parseInt(e.target.getAttribute('data-page'));
-                    this.goToPage(page);
+                    this.queueLiveChanges(changes);
+                } catch (error) {
+                    console.warn('Invalid live update event:', error);
                 }
-            });
+            };
             
-            const pageSizeSelect = pagination.querySelector('.wink-page-size-select');
-            if (pageSizeSelect) {
-                pageSizeSelect.addEventListener('change', (e) => {
-                    this.config.pageSize = parseInt(e.target.value);
-                    this.currentPage = 1;
-                    this.render();
-                    this.saveState();
-                });
-            }
+            source.onmessage = receive(null);
+            ['created', 'updated', 'deleted'].forEach(type => source.addEventListener(type, receive(type)));
+            
+            // The browser would reconnect to the original URL, so reconnect with the current cursor instead
+            source.onerror = () => {
+                if (this.liveSource !== source) return;
+                
+                source.close();
+                this.liveSource = null;
+                this.liveTimer = setTimeout(() => {
+                    this.liveTimer = null;
+                    this.connectLiveStream();
+                }, this.config.liveInterval);
+            };
+            
+            this.liveSource = source;
         },
 
         /**
-         * Generate page numbers for pagination
+         * Normalize a change payload into upserted records, deleted ids and the next cursor
          */
-        generatePageNumbers: function(totalPages) {
-            const current = this.currentPage;
-            const delta = 2; // Number of pages to show around current page
+        normalizeLiveChanges: function(payload) {
+            const key = this.config.primaryKey;
+            const list = (value) => Array.isArray(value) ? value : [];
             
-            let start = Math.max(1, current - delta);
-            let end = Math.min(totalPages, current + delta);
+            return {
+                records: list(payload.created).concat(list(payload.updated), list(payload.data))
+                    .filter(record => record && record[key] !== undefined),
+                deleted: list(payload.deleted)
+                    .map(item => item !== null && typeof item === 'object' ? item[key] : item)
+                    .filter(id => id !== undefined && id !== null)
+                    .map(String),
+                cursor: payload.cursor || (payload.meta && payload.meta.cursor) || null
+            };
+        },
+
+        /**
+         * Live updates wait while a cell is being edited or rows are selected
+         */
+        isLivePaused: function() {
+            return !!this.editing || this.getSelectionCount() > 0;
+        },
+
+        /**
+         * Queue changes and apply them unless updates are paused
+         */
+        queueLiveChanges: function(changes) {
+            if (!changes.records.length && !changes.deleted.length) return;
             
-            let pages = [];
+            this.liveQueue.push(changes);
+            this.flushLiveUpdates();
+        },
+
+        /**
+         * Apply queued changes once the table is no longer paused
+         */
+        flushLiveUpdates: function() {
+            if (!this.config.liveUrl) return;
             
-            // Add first page and ellipsis if needed
-            if (start > 1) {
-                pages.push(1);
-                if (start > 2) pages.push('...');
+            if (this.liveQueue.length && !this.isLivePaused()) {
+                const queue = this.liveQueue;
+                this.liveQueue = [];
+                
+                // Later changes to the same row win, and a delete drops any earlier update
+                const records = new Map();
+                const deleted = new Set();
+                
+                queue.forEach(changes => {
+                    changes.records.forEach(record => {
+                        const id = String(record[this.config.primaryKey]);
+                        deleted.delete(id);
+                        records.set(id, Object.assign({}, records.get(id), record));
+                    });
+                    changes.deleted.forEach(id => {
+                        records.delete(id);
+                        deleted.add(id);
+                    });
+                });
+                
+                this.mergeLiveChanges(Array.from(records.values()), deleted);
             }
             
-            // Add pages around current
-            for (let i = start; i <= end; i++) {
-                pages.push(i);
-            }
+            this.updateLiveStatus();
+        },
+
+        /**
+         * Merge changed records into the data by primary key, then re-apply filters, sort and paging
+         */
+        mergeLiveChanges: function(records, deleted) {
+            const ids = records.map(record => String(record[this.config.primaryKey]));
             
-            // Add last page and ellipsis if needed
-            if (end < totalPages) {
-                if (end < totalPages - 1) pages.push('...');
-                pages.push(totalPages);
+            // A remote source only holds one page, so the page is reloaded from the server.
+            // Rows that were on the page before the reload count as updated, the rest as created.
+            if (this.isRemote) {
+                const loaded = new Set(this.data.map(row => String(row._id)));
+                const removed = this.data.filter(row => deleted.has(String(row._id)));
+                
+                return this.loadRemoteData().then(() => {
+                    const changed = this.data.filter(row => ids.includes(String(row._id)));
+                    const createdRows = changed.filter(row => !loaded.has(String(row._id)));
+                    const updated = changed.filter(row => loaded.has(String(row._id)));
+                    
+                    this.highlightRows(changed);
+                    this.dispatchLiveUpdate(createdRows, updated, removed);
+                });
             }
             
-            return pages.map(page => {
-                if (page === '...') {
-                    return '<span class="wink-page-ellipsis">...</span>';
+            const created = [];
+            const updated = [];
+            
+            records.forEach(record => {
+                const rowData = this.data.find(row => String(row._id) === String(record[this.config.primaryKey]));
+                
+                if (rowData) {
+                    this.updateRowFromRecord(rowData, record);
+                    updated.push(rowData);
                 } else {
-                    const isActive = page === current;
-                    return `<button type="button" class="wink-btn wink-btn-sm wink-page-btn ${isActive ? 'active' : ''}" data-page="${page}">${page}</button>`;
+                    created.push(record);
                 }
-            }).join('');
+            });
+            
+            const createdRows = this.appendRecords(created);
+            const removed = this.data.filter(row => deleted.has(String(row._id)));
+            
+            removed.forEach(row => {
+                this.data.splice(this.data.indexOf(row), 1);
+                row._element.remove();
+            });
+            
+            this.applyDataFilters();
+            this.sortData();
+            
+            const totalPages = Math.max(1, Math.ceil(this.getTotalItems() / this.config.pageSize));
+            this.currentPage = Math.min(this.currentPage, totalPages);
+            this.render();
+            
+            this.highlightRows(createdRows.concat(updated));
+            this.dispatchLiveUpdate(createdRows, updated, removed);
         },
 
         /**
-         * Go to specific page
+         * Announce and dispatch applied live changes
          */
-        goToPage: function(page) {
-            const totalPages = Math.ceil(this.filteredData.length / this.config.pageSize);
+        dispatchLiveUpdate: function(created, updated, deleted) {
+            const count = created.length + updated.length + deleted.length;
+            WinkViews.A11y.announceChange(`${count.toLocaleString()} row${count === 1 ? '' : 's'} changed`);
             
-            if (page >= 1 && page <= totalPages) {
-                this.currentPage = page;
-                this.render();
-                this.saveState();
-            }
+            this.table.dispatchEvent(new CustomEvent('wink:table:liveUpdated', {
+                detail: { created: created, updated: updated, deleted: deleted, table: this }
+            }));
         },
 
         /**
-         * Save table state to localStorage
+         * Briefly highlight changed rows
          */
-        saveState: function() {
-            if (!this.config.persistState) return;
+        highlightRows: function(rows) {
+            rows.forEach(row => {
+                const element = row._element;
+                
+                // Restart the animation if the row changed again
+                element.classList.remove('wink-row-changed');
+                void element.offsetWidth;
+                element.classList.add('wink-row-changed');
+                
+                setTimeout(() => element.classList.remove('wink-row-changed'), this.config.liveHighlight);
+            });
+        },
+
+        /**
+         * Show whether live updates are running or paused
+         */
+        updateLiveStatus: function() {
+            const status = this.toolbar.querySelector('.wink-live-status');
+            if (!status || !this.config.liveUrl) return;
             
-            const state = {
-                sortColumn: this.sortColumn,
-                sortDirection: this.sortDirection,
-                pageSize: this.config.pageSize,
-                filters: this.filters,
-                columnWidths: this.columns.map(col => ({ key: col.key, width: col.width }))
-            };
+            const paused = this.isLivePaused();
+            const waiting = this.liveQueue.reduce((total, changes) => total + changes.records.length + changes.deleted.length, 0);
             
-            localStorage.setItem(`wink-table-${this.table.id}`, JSON.stringify(state));
+            status.classList.toggle('wink-live-paused', paused);
+            status.textContent = paused
+                ? `Live updates paused${waiting ? ` (${waiting.toLocaleString()} waiting)` : ''}`
+                : 'Live';
         },
 
         /**
-         * Load table state from localStorage
+         * Listen on the window or document, removing the listener again in destroy()
          */
-        loadState: function() {
-            if (!this.config.persistState) return;
-            
-            const saved = localStorage.getItem(`wink-table-${this.table.id}`);
-            if (saved) {
-                try {
-                    const state = JSON.parse(saved);
-                    
-                    this.sortColumn = state.sortColumn;
-                    this.sortDirection = state.sortDirection;
-                    this.config.pageSize = state.pageSize || this.config.pageSize;
-                    this.filters = state.filters || {};
-                    
-                    // Restore column widths
-                    if (state.columnWidths) {
-                        state.columnWidths.forEach(col => {
-                            const column = this.columns.find(c => c.key === col.key);
-                            if (column && col.width !== 'auto') {
-                                column.width = col.width;
-                                column.element.style.width = col.width;
-                            }
-                        });
-                    }
-                    
-                    // Apply loaded state
-                    if (this.sortColumn) {
-                        this.updateSortIndicators();
-                    }
-                    
-                    if (Object.keys(this.filters).length > 0) {
-                        this.applyDataFilters();
-                    }
-                } catch (e) {
-                    console.warn('Failed to load table state:', e);
-                }
-            }
+        addGlobalListener: function(target, type, handler) {
+            target.addEventListener(type, handler);
+            this.globalListeners.push({ target: target, type: type, handler: handler });
         },
 
         /**
@@ -1285,7 +8103,20 @@
          */
         destroy: function() {
             // Remove event listeners
-            window.removeEventListener('resize', this.handleResize);
+            this.globalListeners.forEach(listener => {
+                listener.target.removeEventListener(listener.type, listener.handler);
+            });
+            this.globalListeners = [];
+            
+            if (this.handlePopState) {
+                window.removeEventListener('popstate', this.handlePopState);
+            }
+            
+            this.stopLiveUpdates();
+            
+            if (this.remoteController) {
+                this.remoteController.abort();
+            }
             
             // Clear references
             this.selectedRows.clear();
@@ -1301,6 +8132,292 @@
         }
     };
 
+    // Built-in column types. The base types come first so the others can inherit from them.
+    const isBlank = (value) => value === null || value === undefined || value === '';
+    
+    // Strip letters, currency symbols and group separators, reading the decimal separator from typeOptions.locale.
+    // Blanks parse to null, unreadable text to NaN.
+    const parseNumber = (value, column) => {
+        if (typeof value === 'number') return value;
+        if (isBlank(value)) return null;
+        
+        const text = String(value).trim();
+        if (/^[-+]?(\d+\.?\d*|\.\d+)e[-+]?\d+$/i.test(text)) return parseFloat(text);
+        
+        const locale = column && column.typeOptions ? column.typeOptions.locale : null;
+        const decimal = locale ? getDecimalSeparator(locale) : '.';
+        const [whole, ...fraction] = text.split(decimal).map(part => part.replace(/[^0-9-]/g, ''));
+        
+        return parseFloat(fraction.length ? `${whole}.${fraction.join('')}` : whole);
+    };
+    
+    const getDecimalSeparator = (locale) => {
+        try {
+            const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(entry => entry.type === 'decimal');
+            return part ? part.value : '.';
+        } catch (e) {
+            return '.';
+        }
+    };
+    
+    // Invalid locales or currency codes fall back to the browser's plain number format
+    const formatNumber = (number, locale, options) => {
+        try {
+            return number.toLocaleString(locale, options);
+        } catch (e) {
+            return number.toLocaleString();
+        }
+    };
+    
+    // Date-only strings are local dates; new Date('YYYY-MM-DD') would read them as UTC midnight
+    const toDate = (value) => {
+        if (value instanceof Date) return value;
+        
+        const match = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+    };
+    
+    const compareRaw = (a, b) => {
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    };
+    
+    const renderLink = (cell, href, text) => {
+        const link = document.createElement('a');
+        link.href = href;
+        link.textContent = text;
+        cell.textContent = '';
+        cell.appendChild(link);
+        return link;
+    };
+    
+    const fileSizeUnits = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+    
+    TableManager.registerColumnType('text', {
+        parse: (value) => isBlank(value) ? '' : value,
+        compare: (a, b, column, collator) => collator.compare(String(a), String(b)),
+        format: (value) => String(value),
+        filterUI: 'text',
+        filter: (value, filter) => {
+            if (!filter.value) return true;
+            return (value ? value.toString().toLowerCase() : '').includes(filter.value.toLowerCase());
+        },
+        export: (value) => value,
+        input: 'text'
+    });
+    
+    TableManager.registerColumnType('number', {
+        base: 'number',
+        parse: (value) => {
+            if (typeof value === 'number') return value;
+            return isBlank(value) ? null : parseFloat(value);
+        },
+        compare: (a, b) => compareRaw(parseFloat(a) || 0, parseFloat(b) || 0),
+        format: (value) => String(value),
+        filterUI: 'number',
+        filter: function(value, filter, column) {
+            if (!filter.min && !filter.max) return true;
+            
+            const number = parseFloat(value);
+            if (isNaN(number)) return false;
+            if (filter.min && number < this.parse(filter.min, column)) return false;
+            if (filter.max && number > this.parse(filter.max, column)) return false;
+            return true;
+        },
+        input: 'number'
+    });
+    
+    TableManager.registerColumnType('date', {
+        base: 'date',
+        parse: (value) => isBlank(value) ? null : toDate(value),
+        compare: (a, b) => compareRaw(toDate(a).getTime(), toDate(b).getTime()),
+        format: (value) => {
+            const date = toDate(value);
+            return isNaN(date) ? String(value) : date.toLocaleDateString();
+        },
+        filterUI: 'date',
+        filter: (value, filter) => {
+            if (!filter.from && !filter.to) return true;
+            
+            const date = toDate(value);
+            if (isBlank(value) || isNaN(date)) return false;
+            if (filter.from && date < toDate(filter.from)) return false;
+            if (filter.to && date > toDate(filter.to)) return false;
+            return true;
+        },
+        input: 'date'
+    });
+    
+    TableManager.registerColumnType('boolean', {
+        base: 'boolean',
+        // Unrecognised text parses to null so imports can flag it
+        parse: (value) => {
+            if (typeof value === 'boolean') return value;
+            if (isBlank(value)) return null;
+            
+            const text = String(value).trim().toLowerCase();
+            if (['true', '1', 'yes'].includes(text)) return true;
+            if (['false', '0', 'no'].includes(text)) return false;
+            return null;
+        },
+        compare: function(a, b) {
+            return compareRaw(Number(this.parse(a)), Number(this.parse(b)));
+        },
+        format: function(value) {
+            return this.parse(value) ? 'Yes' : 'No';
+        },
+        input: 'checkbox'
+    });
+    
+    TableManager.registerColumnType('select', {
+        filterUI: 'select'
+    });
+    
+    TableManager.registerColumnType('integer', {
+        base: 'number',
+        parse: (value, column) => {
+            const number = parseNumber(value, column);
+            return number === null ? null : Math.round(number);
+        },
+        format: (value, column) => formatNumber(parseNumber(value, column), column.typeOptions.locale, { maximumFractionDigits: 0 })
+    });
+    
+    // data-type-options='{"currency": "EUR"}'
+    TableManager.registerColumnType('currency', {
+        base: 'number',
+        parse: parseNumber,
+        format: (value, column) => formatNumber(parseNumber(value, column), column.typeOptions.locale, {
+            style: 'currency',
+            currency: column.typeOptions.currency || 'USD'
+        }),
+        export: (value, column) => parseNumber(value, column),
+        input: 'text'
+    });
+    
+    // Values are percentages as shown (45 means 45%)
+    TableManager.registerColumnType('percent', {
+        base: 'number',
+        parse: parseNumber,
+        format: (value, column) => `${formatNumber(parseNumber(value, column), column.typeOptions.locale, { maximumFractionDigits: 2 })}%`,
+        export: (value, column) => parseNumber(value, column),
+        input: 'text'
+    });
+    
+    // Byte counts, shown in binary units and parsed back from "1.5 MB"
+    TableManager.registerColumnType('filesize', {
+        base: 'number',
+        parse: (value) => {
+            if (typeof value === 'number') return value;
+            const match = String(isBlank(value) ? '' : value).trim().match(/^([\d.,]+)\s*([kmgtp]?)i?b?$/i);
+            if (!match) return parseNumber(value);
+            
+            const power = fileSizeUnits.findIndex(unit => unit[0] === (match[2] || 'b').toUpperCase());
+            return Math.round(parseFloat(match[1].replace(/,/g, '')) * Math.pow(1024, Math.max(power, 0)));
+        },
+        format: function(value) {
+            let size = this.parse(value);
+            let unit = 0;
+            while (Math.abs(size) >= 1024 && unit < fileSizeUnits.length - 1) {
+                size /= 1024;
+                unit++;
+            }
+            return `${size.toLocaleString(undefined, { maximumFractionDigits: unit ? 1 : 0 })} ${fileSizeUnits[unit]}`;
+        },
+        input: 'text'
+    });
+    
+    // Stored values map to labels through data-options; data-type-options='{"variants": {"active": "success"}}' colours the badges
+    const enumType = {
+        parse: (value, column) => {
+            if (isBlank(value)) return '';
+            const option = column.options && column.options.find(opt => opt.value === String(value) || opt.label === String(value));
+            return option ? option.value : value;
+        },
+        format: (value, column) => {
+            const option = column.options && column.options.find(opt => opt.value === String(value));
+            return option ? option.label : String(value);
+        },
+        filterUI: 'select',
+        filter: (value, filter) => !filter.value || String(value) === filter.value,
+        render: function(cell, value, column) {
+            const variants = column.typeOptions.variants || {};
+            const badge = document.createElement('span');
+            badge.className = `wink-badge wink-badge-${variants[value] || 'secondary'}`;
+            badge.textContent = this.format(value, column);
+            cell.textContent = '';
+            cell.appendChild(badge);
+        }
+    };
+    TableManager.registerColumnType('enum', enumType);
+    TableManager.registerColumnType('badge', enumType);
+    
+    TableManager.registerColumnType('email', {
+        parse: (value) => isBlank(value) ? '' : String(value).trim(),
+        render: (cell, value) => renderLink(cell, `mailto:${value}`, value),
+        input: 'email'
+    });
+    
+    TableManager.registerColumnType('url', {
+        parse: (value) => isBlank(value) ? '' : String(value).trim(),
+        render: (cell, value) => {
+            // Only links the browser resolves to http(s) become anchors
+            let url;
+            try {
+                url = new URL(value, window.location.href);
+            } catch (e) {
+                return;
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+            
+            const link = renderLink(cell, value, value);
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        },
+        input: 'url'
+    });
+    
+    TableManager.registerColumnType('datetime', {
+        base: 'date',
+        format: (value) => {
+            const date = toDate(value);
+            return isNaN(date) ? String(value) : date.toLocaleString();
+        },
+        input: 'datetime-local'
+    });
+    
+    // Shown as "3 hours ago" with the full date and time in a tooltip
+    TableManager.registerColumnType('relative', {
+        base: 'date',
+        format: (value) => {
+            const date = toDate(value);
+            return isNaN(date) ? String(value) : date.toLocaleString();
+        },
+        render: function(cell, value, column) {
+            const date = toDate(value);
+            if (isNaN(date)) return;
+            
+            const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+            const seconds = (date.getTime() - Date.now()) / 1000;
+            const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length) || units[units.length - 1];
+            const amount = Math.round(seconds / size);
+            
+            const time = document.createElement('time');
+            time.dateTime = date.toISOString();
+            time.title = this.format(date, column);
+            time.textContent = window.Intl && Intl.RelativeTimeFormat
+                ? new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' }).format(amount, unit)
+                : time.title;
+            
+            cell.textContent = '';
+            cell.appendChild(time);
+        },
+        input: 'datetime-local'
+    });
+
+    // Instance methods are reachable for extensions and unit tests
+    TableManager.TableInstance = TableInstance;
+
     // Add to WinkViews namespace
     WinkViews.TableManager = TableManager;
 
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTableManager } = require('./support/table-manager');
+
+const TableManager = loadTableManager();
+
+const column = (type, typeOptions = {}) => ({ key: 'value', title: 'Value', type: type, typeOptions: typeOptions });
+const parse = (type, value, typeOptions) => TableManager.getColumnType(type).parse(value, column(type, typeOptions));
+const format = (type, value, typeOptions) => TableManager.getColumnType(type).format(value, column(type, typeOptions));
+
+test('parses formatted numbers, ignoring symbols and group separators', () => {
+    assert.strictEqual(parse('currency', '$1,234.50'), 1234.5);
+    assert.strictEqual(parse('currency', '-12.5'), -12.5);
+    assert.strictEqual(parse('currency', 42), 42);
+    assert.strictEqual(parse('percent', '45 %'), 45);
+    assert.strictEqual(parse('currency', '1.5e3'), 1500);
+});
+
+test('reads the decimal separator from the column locale', () => {
+    assert.strictEqual(parse('currency', '1.234,5 €', { locale: 'de-DE' }), 1234.5);
+    assert.strictEqual(parse('currency', '1,234.5', { locale: 'en-US' }), 1234.5);
+});
+
+test('parses blanks to null and unreadable text to NaN', () => {
+    assert.strictEqual(parse('currency', ''), null);
+    assert.strictEqual(parse('currency', null), null);
+    assert.ok(Number.isNaN(parse('currency', 'n/a')));
+    assert.strictEqual(parse('number', ''), null);
+    assert.ok(Number.isNaN(parse('number', 'abc')));
+});
+
+test('rounds integers', () => {
+    assert.strictEqual(parse('integer', '1,234.6'), 1235);
+    assert.strictEqual(parse('integer', ''), null);
+});
+
+test('parses and formats file sizes in binary units', () => {
+    assert.strictEqual(parse('filesize', '1.5 MB'), 1572864);
+    assert.strictEqual(parse('filesize', '2KiB'), 2048);
+    assert.strictEqual(parse('filesize', '512'), 512);
+    assert.strictEqual(format('filesize', 1536), '1.5 KB');
+    assert.strictEqual(format('filesize', 100), '100 B');
+});
+
+test('formats currency and percent values', () => {
+    assert.strictEqual(format('currency', 1234.5, { locale: 'en-US' }), '$1,234.50');
+    assert.strictEqual(format('currency', 1234.5, { locale: 'en-US', currency: 'EUR' }), '€1,234.50');
+    assert.strictEqual(format('percent', 45.678, { locale: 'en-US' }), '45.68%');
+    assert.strictEqual(format('integer', 1234.4, { locale: 'en-US' }), '1,234');
+});
+
+test('registers types that inherit from their base type', () => {
+    const type = TableManager.registerColumnType('score', {
+        base: 'number',
+        format: (value) => `${value} pts`
+    });
+
+    assert.strictEqual(TableManager.getColumnType('score'), type);
+    assert.strictEqual(type.name, 'score');
+    assert.strictEqual(type.filterUI, 'number');
+    assert.strictEqual(type.parse('7'), 7);
+    assert.strictEqual(type.format(7), '7 pts');
+});
+
+test('falls back to the text type for unknown types', () => {
+    assert.strictEqual(TableManager.getColumnType('unknown'), TableManager.getColumnType('text'));
+});
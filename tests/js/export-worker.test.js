@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTableManager, loadExportWorker } = require('./support/table-manager');
+
+const TableManager = loadTableManager();
+
+const columns = [{ key: 'name', title: 'Name', type: 'text' }];
+const send = (worker, data) => worker.self.onmessage({ data: data });
+
+test('builds a job from rows sent in chunks', () => {
+    const worker = loadExportWorker(TableManager);
+
+    send(worker, { type: 'start', id: 1, format: 'csv', columns: columns, options: {} });
+    send(worker, { type: 'chunk', id: 1, rows: [{ Name: 'Ada' }] });
+    send(worker, { type: 'chunk', id: 1, rows: [{ Name: 'Grace' }, { Name: 'Linus' }] });
+    send(worker, { type: 'end', id: 1 });
+
+    assert.deepStrictEqual(worker.messages, [{ id: 1, result: 'Name\r\nAda\r\nGrace\r\nLinus\r\n' }]);
+});
+
+test('keeps concurrent jobs apart', () => {
+    const worker = loadExportWorker(TableManager);
+
+    send(worker, { type: 'start', id: 1, format: 'csv', columns: columns, options: {} });
+    send(worker, { type: 'start', id: 2, format: 'ndjson', columns: columns, options: {} });
+    send(worker, { type: 'chunk', id: 2, rows: [{ Name: 'Grace' }] });
+    send(worker, { type: 'chunk', id: 1, rows: [{ Name: 'Ada' }] });
+    send(worker, { type: 'end', id: 2 });
+    send(worker, { type: 'end', id: 1 });
+
+    assert.deepStrictEqual(worker.messages, [
+        { id: 2, result: '{"name":"Grace"}\n' },
+        { id: 1, result: 'Name\r\nAda\r\n' }
+    ]);
+});
+
+test('drops cancelled jobs and ignores their later messages', () => {
+    const worker = loadExportWorker(TableManager);
+
+    send(worker, { type: 'start', id: 1, format: 'csv', columns: columns, options: {} });
+    send(worker, { type: 'cancel', id: 1 });
+    send(worker, { type: 'chunk', id: 1, rows: [{ Name: 'Ada' }] });
+    send(worker, { type: 'end', id: 1 });
+
+    assert.deepStrictEqual(worker.messages, []);
+});
+
+test('reports builder errors for the job', () => {
+    const worker = loadExportWorker(TableManager);
+
+    // A column without a title cannot be measured for the workbook
+    send(worker, { type: 'start', id: 3, format: 'excel', columns: [{ key: 'name' }], options: {} });
+    send(worker, { type: 'chunk', id: 3, rows: [{}] });
+    send(worker, { type: 'end', id: 3 });
+
+    assert.strictEqual(worker.messages.length, 1);
+    assert.strictEqual(worker.messages[0].id, 3);
+    assert.strictEqual(typeof worker.messages[0].error, 'string');
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTableManager, createInstance } = require('./support/table-manager');
+
+const TableManager = loadTableManager();
+
+const table = () => createInstance(TableManager, {
+    columns: [
+        { key: 'name', title: 'Name', type: 'text' },
+        { key: 'city', title: 'City', type: 'text' },
+        { key: 'amount', title: 'Amount', type: 'number' }
+    ]
+});
+
+const row = { name: 'Ada Lovelace', city: 'London', amount: 120 };
+const matches = (condition, values = row) => table().matchesFilterCondition(values, condition);
+
+test('matches text operators case-insensitively', () => {
+    assert.strictEqual(matches({ column: 'name', operator: 'contains', value: 'LOVE' }), true);
+    assert.strictEqual(matches({ column: 'name', operator: 'starts_with', value: 'ada' }), true);
+    assert.strictEqual(matches({ column: 'name', operator: 'ends_with', value: 'ada' }), false);
+    assert.strictEqual(matches({ column: 'city', operator: 'equals', value: 'london' }), true);
+    assert.strictEqual(matches({ column: 'city', operator: 'not_equals', value: 'london' }), false);
+    assert.strictEqual(matches({ column: 'city', operator: 'in', value: ['Paris', 'London'] }), true);
+});
+
+test('compares numbers numerically', () => {
+    assert.strictEqual(matches({ column: 'amount', operator: 'equals', value: '120' }), true);
+    assert.strictEqual(matches({ column: 'amount', operator: 'between', value: ['100', '200'] }), true);
+    assert.strictEqual(matches({ column: 'amount', operator: 'between', value: ['20', '100'] }), false);
+    assert.strictEqual(matches({ column: 'amount', operator: 'between', value: ['', '120'] }), true);
+    assert.strictEqual(matches({ column: 'amount', operator: 'between', value: ['121', ''] }), false);
+});
+
+test('treats blank values as empty', () => {
+    const blank = { name: '', city: null, amount: null };
+
+    assert.strictEqual(matches({ column: 'name', operator: 'empty', value: '' }, blank), true);
+    assert.strictEqual(matches({ column: 'city', operator: 'not_empty', value: '' }, blank), false);
+    assert.strictEqual(matches({ column: 'amount', operator: 'between', value: ['', ''] }, blank), false);
+});
+
+test('ignores conditions on unknown columns', () => {
+    assert.strictEqual(matches({ column: 'missing', operator: 'equals', value: 'x' }), true);
+});
+
+test('matches regex conditions and rejects invalid or unsafe patterns', () => {
+    assert.strictEqual(matches({ column: 'name', operator: 'regex', value: '^ada\\s+l' }), true);
+    assert.strictEqual(matches({ column: 'name', operator: 'regex', value: '^lovelace' }), false);
+    assert.strictEqual(matches({ column: 'name', operator: 'regex', value: '(' }), false);
+    assert.strictEqual(matches({ column: 'name', operator: 'regex', value: '(a+)+' }), false);
+});
+
+test('combines conditions with AND and OR, including nested groups', () => {
+    const instance = table();
+    const london = { column: 'city', operator: 'equals', value: 'London' };
+    const paris = { column: 'city', operator: 'equals', value: 'Paris' };
+    const large = { column: 'amount', operator: 'between', value: ['100', ''] };
+
+    assert.strictEqual(instance.matchesFilterGroup(row, { logic: 'and', conditions: [london, large] }), true);
+    assert.strictEqual(instance.matchesFilterGroup(row, { logic: 'and', conditions: [paris, large] }), false);
+    assert.strictEqual(instance.matchesFilterGroup(row, { logic: 'or', conditions: [paris, large] }), true);
+    assert.strictEqual(instance.matchesFilterGroup(row, {
+        logic: 'and',
+        conditions: [large, { logic: 'or', conditions: [paris, { logic: 'and', conditions: [london] }] }]
+    }), true);
+    assert.strictEqual(instance.matchesFilterGroup(row, { logic: 'and', conditions: [] }), true);
+});
+
+test('normalizes a valid filter tree into a copy', () => {
+    const tree = {
+        logic: 'or',
+        conditions: [
+            { column: 'city', operator: 'in', value: ['London'], extra: true },
+            { logic: 'xor', conditions: [{ column: 'name', operator: 'regex', value: '^a' }] }
+        ]
+    };
+    const normalized = table().normalizeFilterTree(tree);
+
+    assert.deepStrictEqual(normalized, {
+        logic: 'or',
+        conditions: [
+            { column: 'city', operator: 'in', value: ['London'] },
+            { logic: 'and', conditions: [{ column: 'name', operator: 'regex', value: '^a' }] }
+        ]
+    });
+    assert.notStrictEqual(normalized.conditions[0].value, tree.conditions[0].value);
+});
+
+test('rejects malformed filter trees', () => {
+    const instance = table();
+    const condition = { column: 'city', operator: 'equals', value: 'London' };
+
+    assert.strictEqual(instance.normalizeFilterTree(null), null);
+    assert.strictEqual(instance.normalizeFilterTree({ logic: 'and' }), null);
+    assert.strictEqual(instance.normalizeFilterTree({ conditions: [condition, 'city'] }), null);
+    assert.strictEqual(instance.normalizeFilterTree({ conditions: [{ column: 'city', operator: 'drop', value: '' }] }), null);
+    assert.strictEqual(instance.normalizeFilterTree({ conditions: [{ operator: 'equals', value: '' }] }), null);
+    assert.strictEqual(instance.normalizeFilterTree({ conditions: [{ conditions: [null] }] }), null);
+    assert.strictEqual(instance.normalizeFilterTree({ conditions: [{ column: 'name', operator: 'regex', value: '(.*)*x' }] }), null);
+});
+
+test('accepts simple patterns and rejects nested quantifiers and long patterns', () => {
+    const instance = table();
+
+    ['^ab+c$', '(abc)+', '(a|b)*', '[(a+)]+', '\\(a+\\)+', '(a)(b+)'].forEach(pattern => {
+        assert.strictEqual(instance.isSafeFilterPattern(pattern), true, pattern);
+    });
+    ['(a+)+', '(a*)*', '(?:a+){2,}', '((a)+)+', '(a?b+)*'].forEach(pattern => {
+        assert.strictEqual(instance.isSafeFilterPattern(pattern), false, pattern);
+    });
+
+    assert.strictEqual(instance.isSafeFilterPattern('a'.repeat(instance.config.maxPatternLength)), true);
+    assert.strictEqual(instance.isSafeFilterPattern('a'.repeat(instance.config.maxPatternLength + 1)), false);
+});
+
+test('compiles each pattern once and caches unsafe patterns as null', () => {
+    const instance = table();
+    const first = instance.compileFilterPattern('^ada');
+
+    assert.ok(first instanceof RegExp);
+    assert.strictEqual(instance.compileFilterPattern('^ada'), first);
+    assert.strictEqual(instance.compileFilterPattern('(a+)+'), null);
+});
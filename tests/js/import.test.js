@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTableManager, createInstance } = require('./support/table-manager');
+
+const TableManager = loadTableManager();
+
+const table = (mapping) => createInstance(TableManager, {
+    columns: [
+        { key: 'name', title: 'Name', type: 'text' },
+        { key: 'amount', title: 'Amount', type: 'currency', typeOptions: {} },
+        { key: 'active', title: 'Active', type: 'boolean' },
+        { key: 'joined', title: 'Joined', type: 'date' },
+        { key: 'status', title: 'Status', type: 'enum', options: [{ value: 'open', label: 'Open' }, { value: 'closed', label: 'Closed' }] }
+    ],
+    importState: { mapping: mapping || ['name', 'amount', 'active', 'joined', 'status'] }
+});
+
+test('splits comma, semicolon and tab separated text', () => {
+    const instance = table();
+
+    assert.deepStrictEqual(instance.parseDelimited('a,b\r\n1,2\n'), [['a', 'b'], ['1', '2']]);
+    assert.deepStrictEqual(instance.parseDelimited('a;b;c,d\n1;2;3,4'), [['a', 'b', 'c,d'], ['1', '2', '3,4']]);
+    assert.deepStrictEqual(instance.parseDelimited('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('reads quoted fields with delimiters, quotes and line breaks', () => {
+    const rows = table().parseDelimited('name,note\n"Smith, Jo","said ""hi""\nthen left"\n');
+
+    assert.deepStrictEqual(rows, [['name', 'note'], ['Smith, Jo', 'said "hi"\nthen left']]);
+});
+
+test('drops blank lines', () => {
+    assert.deepStrictEqual(table().parseDelimited('a,b\n\n , \n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('parses mapped values with the column types', () => {
+    const { record, errors } = table().validateImportRow(['Ada', '$1,200.50', 'yes', '2024-01-02', 'open']);
+
+    assert.deepStrictEqual(errors, {});
+    assert.deepStrictEqual(record, { name: 'Ada', amount: 1200.5, active: true, joined: '2024-01-02', status: 'open' });
+});
+
+test('sends blank cells as null', () => {
+    const { record, errors } = table().validateImportRow(['Ada', '  ', '', undefined]);
+
+    assert.deepStrictEqual(errors, {});
+    assert.deepStrictEqual(record, { name: 'Ada', amount: null, active: null, joined: null, status: null });
+});
+
+test('flags values the column types cannot read', () => {
+    const { record, errors } = table().validateImportRow(['Ada', 'lots', 'maybe', 'someday', 'pending']);
+
+    assert.deepStrictEqual(record, { name: 'Ada' });
+    assert.deepStrictEqual(errors, {
+        amount: '"lots" is not a valid Amount',
+        active: '"maybe" is not a valid Active',
+        joined: '"someday" is not a valid Joined',
+        status: '"pending" is not a valid Status'
+    });
+});
+
+test('accepts option labels and skips unmapped cells', () => {
+    const { record, errors } = table(['', 'status']).validateImportRow(['ignored', 'Closed']);
+
+    assert.deepStrictEqual(errors, {});
+    assert.deepStrictEqual(record, { status: 'closed' });
+});
+
+test('reads boolean text and returns null for anything else', () => {
+    const parse = TableManager.getColumnType('boolean').parse;
+
+    ['true', 'TRUE', '1', 'yes', ' Yes '].forEach(value => assert.strictEqual(parse(value), true, value));
+    ['false', '0', 'no', 'NO'].forEach(value => assert.strictEqual(parse(value), false, value));
+    ['', null, 'maybe', '2'].forEach(value => assert.strictEqual(parse(value), null, String(value)));
+    assert.strictEqual(parse(false), false);
+});
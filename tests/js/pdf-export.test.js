@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTableManager, loadExportBuilders } = require('./support/table-manager');
+
+const { buildPdf } = loadExportBuilders(loadTableManager());
+
+const columns = [
+    { title: 'Name', type: 'text' },
+    { title: 'Amount', type: 'number' },
+    { title: 'Joined', type: 'date' },
+    { title: 'Active', type: 'boolean' }
+];
+
+const render = (rows, options) => Buffer.from(buildPdf(rows, columns, options)).toString('latin1');
+
+test('writes a PDF 1.4 file whose cross-reference table points at each object', () => {
+    const pdf = render([{ Name: 'Ada', Amount: 3, Joined: null, Active: true }]);
+
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.ok(pdf.endsWith('%%EOF\n'));
+
+    const xref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.ok(pdf.startsWith('xref\n', xref));
+
+    const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(line => parseInt(line, 10));
+    offsets.forEach((offset, i) => {
+        assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, offset), `object ${i + 1} at ${offset}`);
+    });
+
+    assert.match(pdf, new RegExp(`/Size ${offsets.length + 1} /Root 1 0 R /Info 5 0 R`));
+});
+
+test('sizes pages for the requested orientation', () => {
+    assert.match(render([], {}), /\/MediaBox \[0 0 841.89 595.28\]/);
+    assert.match(render([], { orientation: 'portrait' }), /\/MediaBox \[0 0 595.28 841.89\]/);
+});
+
+test('splits rows over pages and numbers them', () => {
+    const rows = Array.from({ length: 60 }, (_, i) => ({ Name: `Row ${i}`, Amount: i, Joined: null, Active: false }));
+    const pdf = render(rows, { orientation: 'landscape' });
+
+    const count = Number(pdf.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+    assert.ok(count > 1);
+    assert.strictEqual(pdf.match(/\/Type \/Page \//g).length, count);
+    assert.ok(pdf.includes(`(Page ${count} of ${count}) Tj`));
+
+    // The header row repeats on every page
+    assert.strictEqual(pdf.match(/\/F2 9 Tf [\d.]+ [\d.]+ Td \(Name\) Tj/g).length, count);
+});
+
+test('formats dates and booleans and escapes PDF strings', () => {
+    const rows = [{ Name: 'Café (left) \\ 漢', Amount: null, Joined: new Date(2024, 0, 2), Active: 'true' }];
+    const pdf = render(rows, { title: 'Q1 (draft)' });
+
+    assert.ok(pdf.includes('(Caf\\351 \\(left\\) \\\\ ?) Tj'));
+    assert.ok(pdf.includes('(2024-01-02) Tj'));
+    assert.ok(pdf.includes('(Yes) Tj'));
+    assert.ok(pdf.includes('/Title (Q1 \\(draft\\))'));
+});
+
+test('cuts text that does not fit its column', () => {
+    const pdf = render([{ Name: 'x'.repeat(400), Amount: 1, Joined: null, Active: false }]);
+
+    assert.match(pdf, /\(x+\.\.\.\) Tj/);
+    assert.ok(!pdf.includes('x'.repeat(400)));
+});
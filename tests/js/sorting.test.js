@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTableManager, createInstance } = require('./support/table-manager');
+
+const TableManager = loadTableManager();
+
+const text = { key: 'name', title: 'Name', type: 'text' };
+const number = { key: 'amount', title: 'Amount', type: 'number' };
+const date = { key: 'joined', title: 'Joined', type: 'date' };
+
+const sorted = (column, values, direction = 'asc', config = {}) => {
+    const instance = createInstance(TableManager, { columns: [column], config: config });
+    return values.slice().sort((a, b) => instance.compareValues(column, a, b, direction));
+};
+
+test('sorts text in natural order', () => {
+    assert.deepStrictEqual(sorted(text, ['Item 10', 'item 2', 'Item 1']), ['Item 1', 'item 2', 'Item 10']);
+    assert.deepStrictEqual(sorted(text, ['b', 'a', 'c'], 'desc'), ['c', 'b', 'a']);
+});
+
+test('sorts numbers and dates by value', () => {
+    assert.deepStrictEqual(sorted(number, ['10', 9, '-1.5']), ['-1.5', 9, '10']);
+    assert.deepStrictEqual(sorted(date, ['2024-03-01', '2023-12-31', '2024-01-15']), ['2023-12-31', '2024-01-15', '2024-03-01']);
+});
+
+test('places empty values last in either direction by default', () => {
+    assert.deepStrictEqual(sorted(number, [2, null, 1, '', NaN]).slice(0, 2), [1, 2]);
+    assert.deepStrictEqual(sorted(number, [2, null, 1], 'desc'), [2, 1, null]);
+});
+
+test('places empty values first when sortNulls is first', () => {
+    assert.deepStrictEqual(sorted(text, ['b', null, 'a'], 'asc', { sortNulls: 'first' }), [null, 'a', 'b']);
+    assert.deepStrictEqual(sorted(text, ['b', null, 'a'], 'desc', { sortNulls: 'first' }), [null, 'b', 'a']);
+});
+
+test('treats two empty values as equal', () => {
+    const instance = createInstance(TableManager, { columns: [text] });
+    assert.strictEqual(instance.compareValues(text, null, ''), 0);
+});
+
+test('falls back to the default collator for an invalid sort locale', () => {
+    assert.deepStrictEqual(sorted(text, ['b', 'a'], 'asc', { sortLocale: 'not a locale!' }), ['a', 'b']);
+});
@@ -0,0 +1,71 @@
+/**
+ * Load resources/assets/js/table-manager.js without a browser.
+ *
+ * The script runs against minimal window and document stubs, which is enough for the
+ * module-level export builders, the TableManager object and TableInstance methods
+ * that do not touch the DOM.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const filename = path.resolve(__dirname, '../../../resources/assets/js/table-manager.js');
+const source = fs.readFileSync(filename, 'utf8');
+
+/**
+ * Evaluate the script and return WinkViews.TableManager
+ */
+function loadTableManager() {
+    const document = {
+        addEventListener: () => {},
+        querySelectorAll: () => []
+    };
+    const WinkViews = {};
+    const window = { document: document, Intl: Intl, WinkViews: WinkViews };
+
+    // The script reads WinkViews as a browser global
+    vm.compileFunction(source, ['window', 'document', 'WinkViews'], { filename: filename })(window, document, WinkViews);
+
+    return WinkViews.TableManager;
+}
+
+/**
+ * Evaluate the export worker source and return the builders it ships
+ */
+function loadExportBuilders(TableManager) {
+    const code = TableManager.getExportWorkerCode() + `
+        return {
+            buildXlsx: typeof buildXlsx === 'function' ? buildXlsx : undefined,
+            buildPdf: typeof buildPdf === 'function' ? buildPdf : undefined,
+            buildText: typeof buildText === 'function' ? buildText : undefined
+        };
+    `;
+
+    return vm.compileFunction(code, ['self'])({ postMessage: () => {} });
+}
+
+/**
+ * Evaluate the export worker source and return its global scope and the messages it posts
+ */
+function loadExportWorker(TableManager) {
+    const messages = [];
+    const self = { postMessage: (message) => messages.push(message) };
+
+    vm.compileFunction(TableManager.getExportWorkerCode(), ['self'])(self);
+
+    return { self: self, messages: messages };
+}
+
+/**
+ * Create a TableInstance without a table element. Pass the columns and any other
+ * state the methods under test read.
+ */
+function createInstance(TableManager, state = {}) {
+    const instance = Object.create(TableManager.TableInstance.prototype);
+
+    return Object.assign(instance, { columns: [], data: [], filterPatterns: new Map() }, state, {
+        config: Object.assign({}, TableManager.globalConfig, state.config)
+    });
+}
+
+module.exports = { loadTableManager, loadExportBuilders, loadExportWorker, createInstance };
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTableManager, loadExportBuilders } = require('./support/table-manager');
+
+const { buildText } = loadExportBuilders(loadTableManager());
+
+const columns = [
+    { key: 'name', title: 'Name', type: 'text' },
+    { key: 'amount', title: 'Amount', type: 'number' },
+    { key: 'joined', title: 'Joined', type: 'date' }
+];
+
+const rows = [
+    { Name: 'Ada', Amount: 12.5, Joined: new Date(2024, 0, 2) },
+    { Name: 'Grace', Amount: null, Joined: new Date(2024, 0, 2, 9, 30) }
+];
+
+test('writes CSV records ending in CRLF', () => {
+    assert.strictEqual(buildText('csv', rows, columns),
+        'Name,Amount,Joined\r\nAda,12.5,2024-01-02\r\nGrace,,2024-01-02 09:30:00\r\n');
+});
+
+test('quotes CSV fields holding the delimiter, quotes or line breaks', () => {
+    const csv = buildText('csv', [{ Name: 'Smith, "Jo"\nJr', Amount: 1, Joined: null }], columns);
+
+    assert.strictEqual(csv.split('\r\n')[1], '"Smith, ""Jo""\nJr",1,');
+});
+
+test('prefixes CSV text a spreadsheet would run as a formula', () => {
+    const csv = buildText('csv', [{ Name: '=SUM(A1)', Amount: -5, Joined: null }, { Name: '@cmd', Amount: 0, Joined: null }], columns);
+
+    assert.deepStrictEqual(csv.split('\r\n').slice(1, 3), ["'=SUM(A1),-5,", "'@cmd,0,"]);
+});
+
+test('uses the configured delimiter and byte order mark', () => {
+    const csv = buildText('csv', [{ Name: 'a;b', Amount: 1.5, Joined: null }], columns, { delimiter: ';', bom: true });
+
+    assert.strictEqual(csv, '\uFEFFName;Amount;Joined\r\n"a;b";1.5;\r\n');
+});
+
+test('writes JSON and NDJSON keyed by column key', () => {
+    const joined = rows[0].Joined.toISOString();
+    const objects = JSON.parse(buildText('json', rows.slice(0, 1), columns));
+
+    assert.deepStrictEqual(objects, [{ name: 'Ada', amount: 12.5, joined: joined }]);
+    assert.strictEqual(buildText('ndjson', [{ Name: 'Ada' }, { Name: 'Grace' }], columns),
+        '{"name":"Ada","amount":null,"joined":null}\n{"name":"Grace","amount":null,"joined":null}\n');
+});
+
+test('writes a Markdown table with escaped cells and right-aligned numbers', () => {
+    const markdown = buildText('markdown', [{ Name: 'a|b\nc', Amount: 2, Joined: null }], columns);
+
+    assert.strictEqual(markdown, '| Name | Amount | Joined |\n| --- | ---: | --- |\n| a\\|b<br>c | 2 |  |\n');
+});
+
+test('writes an escaped HTML document', () => {
+    const html = buildText('html', [{ Name: '<b>Tom & "Jerry"</b>', Amount: 1, Joined: null }], columns, { title: 'Q1 <draft>' });
+
+    assert.ok(html.startsWith('<!DOCTYPE html>\n'));
+    assert.ok(html.includes('<title>Q1 &lt;draft&gt;</title>'));
+    assert.ok(html.includes('<thead><tr><th>Name</th><th>Amount</th><th>Joined</th></tr></thead>'));
+    assert.ok(html.includes('<tr><td>&lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;/b&gt;</td><td>1</td><td></td></tr>'));
+});
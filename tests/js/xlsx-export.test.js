@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { loadTableManager, loadExportBuilders } = require('./support/table-manager');
+
+const { buildXlsx } = loadExportBuilders(loadTableManager());
+
+// Read the entries of a stored (uncompressed) ZIP archive from its local headers
+function unzip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = {};
+    let offset = 0;
+
+    while (view.getUint32(offset, true) === 0x04034B50) {
+        const crc = view.getUint32(offset + 14, true);
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const name = Buffer.from(bytes.subarray(offset + 30, offset + 30 + nameLength)).toString();
+        const data = Buffer.from(bytes.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size));
+
+        entries[name] = { crc: crc, text: data.toString() };
+        offset += 30 + nameLength + size;
+    }
+
+    return entries;
+}
+
+const columns = [
+    { title: 'Name', type: 'text' },
+    { title: 'Amount', type: 'number' },
+    { title: 'Joined', type: 'date' },
+    { title: 'Active', type: 'boolean' }
+];
+
+test('packages a workbook as a ZIP archive with valid checksums', () => {
+    const archive = buildXlsx([{ Name: 'Ada', Amount: 3, Joined: null, Active: true }], columns);
+    const entries = unzip(archive);
+
+    assert.deepStrictEqual(Object.keys(entries).sort(), [
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml',
+        'xl/workbook.xml',
+        'xl/worksheets/sheet1.xml'
+    ]);
+
+    Object.values(entries).forEach(entry => {
+        assert.strictEqual(entry.crc, zlib.crc32(entry.text));
+    });
+
+    // End of central directory record
+    const end = new DataView(archive.buffer, archive.byteLength - 22);
+    assert.strictEqual(end.getUint32(0, true), 0x06054B50);
+    assert.strictEqual(end.getUint16(10, true), 6);
+});
+
+test('writes a bold header row and typed cells', () => {
+    const rows = [{ Name: 'Ada', Amount: '12.5', Joined: new Date(2024, 0, 2), Active: true }];
+    const sheet = unzip(buildXlsx(rows, columns))['xl/worksheets/sheet1.xml'].text;
+
+    assert.match(sheet, /<dimension ref="A1:D2"\/>/);
+    assert.match(sheet, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Name<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">Ada<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="B2"><v>12.5<\/v><\/c>/);
+    assert.match(sheet, /<c r="C2" s="2"><v>45293<\/v><\/c>/);
+    assert.match(sheet, /<c r="D2" t="b"><v>1<\/v><\/c>/);
+});
+
+test('keeps unreadable numbers and dates as text and skips blank cells', () => {
+    const rows = [{ Name: '', Amount: 'n/a', Joined: 'someday', Active: false }];
+    const sheet = unzip(buildXlsx(rows, columns))['xl/worksheets/sheet1.xml'].text;
+
+    assert.doesNotMatch(sheet, /r="A2"/);
+    assert.match(sheet, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">n\/a<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="C2" t="inlineStr"><is><t xml:space="preserve">someday<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="D2" t="b"><v>0<\/v><\/c>/);
+});
+
+test('escapes markup and drops characters XML cannot hold', () => {
+    const rows = [{ Name: 'Tom & "Jerry" <b>\u0007', Amount: null, Joined: null, Active: null }];
+    const sheet = unzip(buildXlsx(rows, columns))['xl/worksheets/sheet1.xml'].text;
+
+    assert.match(sheet, /Tom &amp; &quot;Jerry&quot; &lt;b&gt;<\/t>/);
+});
+
+test('names columns past Z with two letters', () => {
+    const wide = Array.from({ length: 28 }, (_, i) => ({ title: `C${i}`, type: 'text' }));
+    const sheet = unzip(buildXlsx([], wide))['xl/worksheets/sheet1.xml'].text;
+
+    assert.match(sheet, /<c r="Z1" /);
+    assert.match(sheet, /<c r="AB1" /);
+    assert.match(sheet, /<dimension ref="A1:AB1"\/>/);
+});